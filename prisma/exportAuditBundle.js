@@ -0,0 +1,113 @@
+// Export the audit trail as a signed bundle for compliance / disputes.
+//
+//   node prisma/exportAuditBundle.js --from 2026-01-01 --to 2026-02-01 [--out bundle.json]
+//
+// The manifest is a JWS signed with the active access-token key, so anyone can
+// check it against /.well-known/jwks.json. It holds each collection's chain
+// report and a sha256 of its records; every record keeps seq/prevHash/hash so
+// the chain can be re-checked from the file alone by whoever holds
+// AUDIT_CHAIN_KEY.
+//
+// Because the key is shared with access tokens, the manifest carries
+// typ "audit-bundle+jwt" and aud "audit-bundle". Verifiers must check both,
+// and access-token verifiers must reject them (see src/routes/jwks.js).
+import "dotenv/config";
+import crypto from "crypto";
+import fs from "fs";
+import jwt from "jsonwebtoken";
+import { connectMongo, closeMongo } from "../src/config/mongo.js";
+import { getSigningKey } from "../src/config/jwtKeys.js";
+import {
+  AUDIT_COLLECTIONS,
+  verifyAuditChainService,
+} from "../src/services/auditChainService.js";
+import { canonicalJson } from "../src/utils/canonicalJson.js";
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((arg, i, all) =>
+      arg.startsWith("--") ? [arg.slice(2), all[i + 1]] : null,
+    )
+    .filter(Boolean),
+);
+
+const BUNDLE_TYP = "audit-bundle+jwt";
+const BUNDLE_AUDIENCE = "audit-bundle";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(canonicalJson(value)).digest("hex");
+
+async function exportAuditBundle() {
+  const { from, to } = args;
+  const out = args.out || `audit-bundle-${Date.now()}.json`;
+
+  const key = getSigningKey();
+  if (!key) {
+    throw new Error("No signing key: set JWT_KEYS_DIR (see src/config/jwtKeys.js)");
+  }
+
+  const db = await connectMongo();
+  const reports = await verifyAuditChainService({ from, to });
+
+  const records = {};
+  const collections = [];
+
+  for (const collectionName of AUDIT_COLLECTIONS) {
+    const docs = await db
+      .collection(collectionName)
+      .find({
+        seq: { $exists: true },
+        ...((from || to) && {
+          timestamp: {
+            ...(from && { $gte: new Date(from) }),
+            ...(to && { $lte: new Date(to) }),
+          },
+        }),
+      })
+      .sort({ seq: 1 })
+      .toArray();
+
+    records[collectionName] = docs.map((doc) => ({
+      ...doc,
+      _id: doc._id.toString(),
+    }));
+
+    collections.push({
+      collection: collectionName,
+      count: docs.length,
+      firstSeq: docs[0]?.seq ?? null,
+      lastSeq: docs.at(-1)?.seq ?? null,
+      headHash: docs.at(-1)?.hash ?? null,
+      recordsSha256: sha256(records[collectionName]),
+      verification: reports.find((r) => r.collection === collectionName),
+    });
+  }
+
+  const manifest = jwt.sign(
+    { type: "audit-bundle", from: from || null, to: to || null, collections },
+    key.privateKey,
+    {
+      algorithm: key.alg,
+      keyid: key.kid,
+      audience: BUNDLE_AUDIENCE,
+      header: { typ: BUNDLE_TYP },
+    },
+  );
+
+  fs.writeFileSync(out, JSON.stringify({ manifest, records }, null, 2));
+
+  console.log(`Audit bundle written to ${out}`);
+  collections.forEach((c) =>
+    console.log(
+      `  ${c.collection}: ${c.count} records, chain ${c.verification.valid ? "valid" : `BROKEN at seq ${c.verification.firstBrokenSeq} (${c.verification.reason})`}`,
+    ),
+  );
+}
+
+exportAuditBundle()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeMongo());
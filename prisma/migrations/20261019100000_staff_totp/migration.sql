@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Role" ADD COLUMN     "requireTotp" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "StaffTotp" (
+    "id" TEXT NOT NULL,
+    "staffId" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "enabledAt" TIMESTAMP(3),
+    "lastUsedStep" INTEGER,
+    "recoveryCodes" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffTotp_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StaffTotp_staffId_key" ON "StaffTotp"("staffId");
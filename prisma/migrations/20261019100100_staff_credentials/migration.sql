@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "StaffCredential" (
+    "staffId" TEXT NOT NULL,
+    "mustChangePassword" BOOLEAN NOT NULL DEFAULT false,
+    "passwordChangedAt" TIMESTAMP(3),
+    "previousHashes" TEXT[],
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffCredential_pkey" PRIMARY KEY ("staffId")
+);
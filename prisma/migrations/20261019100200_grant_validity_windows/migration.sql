@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "RolePermission" ADD COLUMN     "validFrom" TIMESTAMP(3),
+ADD COLUMN     "validUntil" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "RolePermission_validUntil_idx" ON "RolePermission"("validUntil");
+
+-- AlterTable
+-- StaffPermission predates these migrations and isn't in schema.prisma, so it
+-- is only altered where it exists
+DO $$
+BEGIN
+  IF to_regclass('"StaffPermission"') IS NOT NULL THEN
+    ALTER TABLE "StaffPermission" ADD COLUMN     "validFrom" TIMESTAMP(3),
+    ADD COLUMN     "validUntil" TIMESTAMP(3);
+
+    CREATE INDEX "StaffPermission_validUntil_idx" ON "StaffPermission"("validUntil");
+  END IF;
+END $$;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ChangeRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "ChangeRequest" (
+    "id" TEXT NOT NULL,
+    "operation" TEXT NOT NULL,
+    "args" JSONB NOT NULL,
+    "summary" TEXT,
+    "status" "ChangeRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "requestedBy" TEXT NOT NULL,
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "appliedAt" TIMESTAMP(3),
+    "error" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ChangeRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ChangeRequest_status_expiresAt_idx" ON "ChangeRequest"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "ChangeRequest_requestedBy_idx" ON "ChangeRequest"("requestedBy");
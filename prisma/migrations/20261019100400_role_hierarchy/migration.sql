@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Role" ADD COLUMN     "parentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Role_parentId_idx" ON "Role"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Role" ADD CONSTRAINT "Role_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Role"("id") ON DELETE SET NULL ON UPDATE CASCADE;
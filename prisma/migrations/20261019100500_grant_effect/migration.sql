@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "GrantEffect" AS ENUM ('ALLOW', 'DENY');
+
+-- AlterTable
+ALTER TABLE "RolePermission" ADD COLUMN     "effect" "GrantEffect" NOT NULL DEFAULT 'ALLOW';
+
+-- AlterTable
+-- StaffPermission isn't in schema.prisma (see 20261019100200_grant_validity_windows)
+DO $$
+BEGIN
+  IF to_regclass('"StaffPermission"') IS NOT NULL THEN
+    ALTER TABLE "StaffPermission" ADD COLUMN     "effect" "GrantEffect" NOT NULL DEFAULT 'ALLOW';
+  END IF;
+END $$;
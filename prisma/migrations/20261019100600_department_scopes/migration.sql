@@ -0,0 +1,9 @@
+-- AlterTable
+-- Department predates these migrations and isn't in schema.prisma, so it is
+-- only altered where it exists. scopes: see src/services/dataScopeService.js
+DO $$
+BEGIN
+  IF to_regclass('"Department"') IS NOT NULL THEN
+    ALTER TABLE "Department" ADD COLUMN     "scopes" JSONB;
+  END IF;
+END $$;
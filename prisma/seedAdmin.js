@@ -1,5 +1,10 @@
+import "dotenv/config";
 import { PrismaClient } from "@prisma/client";
 import bcrypt from "bcryptjs";
+import { getRedis } from "../src/config/redis.js";
+import { closeMongo } from "../src/config/mongo.js";
+import { flushLogs } from "../src/services/logService.js";
+import { syncPermissionCatalog } from "../src/services/permissionCatalogService.js";
 
 const prisma = new PrismaClient();
 
@@ -78,7 +83,13 @@ async function main() {
     }
   }
 
-  const allPermissions = await prisma.permission.findMany();
+  // ================= PERMISSION CATALOGUE =================
+  // everything the API checks, and *.edit grants moved to *.update
+  await syncPermissionCatalog(prisma);
+
+  const allPermissions = await prisma.permission.findMany({
+    where: { isDeleted: false },
+  });
 
   await prisma.rolePermission.createMany({
     data: allPermissions.map((perm) => ({
@@ -109,4 +120,9 @@ async function main() {
 
 main()
   .catch(console.error)
-  .finally(() => prisma.$disconnect());
+  .finally(async () => {
+    await flushLogs();
+    await closeMongo();
+    await prisma.$disconnect();
+    if (process.env.PERMISSION_CACHE_STORE === "redis") await getRedis().quit();
+  });
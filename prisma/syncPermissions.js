@@ -0,0 +1,63 @@
+// Sync the Permission table with the permissions the API checks.
+//
+//   node prisma/syncPermissions.js          create / restore / link missing rows,
+//                                           move grants of renamed permissions
+//   node prisma/syncPermissions.js --check  only report drift; exits 1 if any
+//                                           required permission is missing (CI)
+//
+// Unused permissions are only reported, never deleted: roles may still hold
+// them and removing access should be a deliberate admin action.
+import "dotenv/config";
+import prisma from "../src/config/prisma.js";
+import { getRedis } from "../src/config/redis.js";
+import { connectMongo, closeMongo } from "../src/config/mongo.js";
+import { flushLogs } from "../src/services/logService.js";
+import {
+  detectPermissionDrift,
+  syncPermissionCatalog,
+} from "../src/services/permissionCatalogService.js";
+
+const checkOnly = process.argv.includes("--check");
+
+const printList = (label, names) => {
+  if (!names.length) return;
+  console.log(`${label} (${names.length}):`);
+  names.forEach((name) => console.log(`  ${name}`));
+};
+
+async function syncPermissions() {
+  if (!checkOnly) {
+    await connectMongo();
+
+    const result = await syncPermissionCatalog(prisma);
+
+    printList("Created", result.created);
+    printList("Restored", result.restored);
+    printList("Linked to module", result.linked);
+    printList("Grants moved", result.moved);
+    printList("No such module (create it, then re-run)", result.missingModules);
+  }
+
+  const drift = await detectPermissionDrift(prisma);
+
+  printList("Missing", drift.missing);
+  printList("Unused", drift.unused);
+
+  if (!drift.missing.length && !drift.unused.length) {
+    console.log("Permission catalogue in sync ✅");
+  }
+
+  if (checkOnly && drift.missing.length) process.exitCode = 1;
+}
+
+syncPermissions()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await flushLogs();
+    await closeMongo();
+    await prisma.$disconnect();
+    if (process.env.PERMISSION_CACHE_STORE === "redis") await getRedis().quit();
+  });
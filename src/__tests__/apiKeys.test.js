@@ -0,0 +1,250 @@
+// src/__tests__/apiKeys.test.js
+import prisma from "../config/prisma.js";
+import {
+  authenticateApiKey,
+  createApiKeyService,
+  revokeApiKeyService,
+} from "../services/apiKeyService.js";
+import {
+  checkPermission,
+  invalidateAllPermissions,
+  scopedWhere,
+} from "../services/permissionService.js";
+import {
+  flushLogs,
+  registerLogSink,
+  useLogSinks,
+} from "../services/logService.js";
+import { REDACTED, redactString } from "../utils/redact.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+    astrologer: { count: jest.fn() },
+    apiKey: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const staff = {
+  id: "staff-1",
+  roleId: "role-1",
+  isActive: true,
+  role: { slug: "support" },
+};
+const context = { user: staff };
+
+let rows;
+let written;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+  rows = {};
+  written = [];
+  useLogSinks(["memory"]);
+
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.rolePermission.findMany.mockResolvedValue(
+    ["wallets.read", "users.read", "staff.read"].map((name) => ({
+      permission: { name, modules: [] },
+    })),
+  );
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+
+  prisma.apiKey.create.mockImplementation(async ({ data }) => {
+    rows[data.prefix] = { id: `key-${data.prefix}`, lastUsedAt: null, revokedAt: null, ...data };
+    return rows[data.prefix];
+  });
+  prisma.apiKey.findUnique.mockImplementation(async ({ where }) =>
+    where.prefix
+      ? rows[where.prefix] || null
+      : Object.values(rows).find((row) => row.id === where.id) || null,
+  );
+  prisma.apiKey.update.mockImplementation(async ({ where, data }) => {
+    const row = Object.values(rows).find((r) => r.id === where.id);
+    Object.assign(row, data);
+    return row;
+  });
+});
+
+const issue = (overrides = {}) =>
+  createApiKeyService(context, {
+    name: "wallet-service",
+    permissions: ["wallets.read"],
+    ...overrides,
+  });
+
+describe("API keys", () => {
+  test("the key is returned once and only its hash is stored", async () => {
+    const { key, apiKey } = await issue();
+
+    expect(key).toMatch(/^dak_[a-f0-9]{12}_[\w-]{43}$/);
+    expect(apiKey).not.toHaveProperty("keyHash");
+    expect(apiKey).toEqual(
+      expect.objectContaining({
+        name: "wallet-service",
+        permissions: ["wallets.read"],
+        createdBy: staff.id,
+        active: true,
+      }),
+    );
+
+    const stored = prisma.apiKey.create.mock.calls[0][0].data;
+    expect(stored.keyHash).not.toContain(key.split("_")[2]);
+    expect(JSON.stringify(stored)).not.toContain(key);
+  });
+
+  test("refuses privileged, unknown and unheld permissions", async () => {
+    await expect(issue({ permissions: ["staff.read"] })).rejects.toThrow(
+      "API keys cannot hold privileged permissions: staff.read",
+    );
+    await expect(issue({ permissions: ["wallets.fly"] })).rejects.toThrow(
+      "Unknown permission(s): wallets.fly",
+    );
+    await expect(issue({ permissions: ["users.delete"] })).rejects.toThrow(
+      "Unauthorized: Missing permission",
+    );
+    await expect(
+      createApiKeyService({ apiKey: { id: "k", permissions: [] } }, {
+        name: "x",
+        permissions: ["wallets.read"],
+      }),
+    ).rejects.toThrow("Unauthorized");
+  });
+
+  test("a live key authenticates with exactly its permissions", async () => {
+    const { key, apiKey } = await issue();
+
+    const caller = await authenticateApiKey(key);
+    expect(caller).toEqual({
+      id: apiKey.id,
+      name: "wallet-service",
+      createdBy: staff.id,
+      permissions: ["wallets.read"],
+      scopes: null,
+    });
+    expect(prisma.apiKey.update).toHaveBeenCalledWith({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: expect.any(Date) },
+    });
+
+    const keyContext = { user: null, apiKey: caller };
+    await expect(checkPermission(keyContext, "wallets.read")).resolves.toBe(true);
+    await expect(checkPermission(keyContext, "users.read")).rejects.toThrow(
+      "Unauthorized: Missing permission",
+    );
+  });
+
+  test("tampered, revoked and expired keys are rejected and logged", async () => {
+    const { key, apiKey } = await issue();
+
+    await expect(authenticateApiKey(`${key.slice(0, -1)}x`)).resolves.toBeNull();
+    await expect(authenticateApiKey("not-a-key")).resolves.toBeNull();
+
+    await revokeApiKeyService(context, apiKey.id);
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+    await expect(revokeApiKeyService(context, apiKey.id)).rejects.toThrow(
+      "API key already revoked",
+    );
+
+    const second = await issue();
+    rows[second.apiKey.prefix].expiresAt = new Date(Date.now() - 1000);
+    await expect(authenticateApiKey(second.key)).resolves.toBeNull();
+
+    await flushLogs();
+    expect(
+      written
+        .filter((entry) => entry.type === "API_KEY_REJECTED")
+        .map((entry) => entry.details.reason),
+    ).toEqual(["UNKNOWN_KEY", "MALFORMED", "REVOKED", "EXPIRED"]);
+  });
+
+  test("a key loses what its creator loses and dies with the creator", async () => {
+    const { key } = await issue({ permissions: ["wallets.read", "users.read"] });
+
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { permission: { name: "users.read", modules: [] } },
+    ]);
+    await invalidateAllPermissions();
+    await expect(authenticateApiKey(key)).resolves.toEqual(
+      expect.objectContaining({ permissions: ["users.read"] }),
+    );
+
+    prisma.staff.findUnique.mockResolvedValue({ ...staff, isActive: false });
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+
+    prisma.staff.findUnique.mockResolvedValue(null);
+    await expect(authenticateApiKey(key)).resolves.toBeNull();
+
+    await flushLogs();
+    expect(
+      written
+        .filter((entry) => entry.type === "API_KEY_REJECTED")
+        .map((entry) => entry.details.reason),
+    ).toEqual(["CREATOR_INACTIVE", "CREATOR_INACTIVE"]);
+  });
+
+  test("a key is held to its creator's department scopes", async () => {
+    const scopes = { astrologer: { state: ["Kerala"] } };
+    prisma.staff.findUnique.mockResolvedValue({
+      ...staff,
+      department: { id: "dept-onboarding", scopes },
+    });
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { permission: { name: "astrologer.read", modules: [] } },
+    ]);
+
+    const { key } = await issue({ permissions: ["astrologer.read"] });
+    const caller = await authenticateApiKey(key);
+    expect(caller.scopes).toEqual(scopes);
+
+    const keyContext = { user: null, apiKey: caller };
+    await expect(scopedWhere(keyContext, "astrologer", { id: "a-1" })).resolves.toEqual({
+      AND: [{ id: "a-1" }, { addresses: { some: { state: { in: ["Kerala"] } } } }],
+    });
+
+    prisma.astrologer.count.mockResolvedValue(0);
+    await expect(
+      checkPermission(keyContext, "astrologer.read", {
+        entity: "astrologer",
+        id: "a-2",
+      }),
+    ).rejects.toThrow("Forbidden: outside your department's data scope");
+  });
+
+  test("expiry defaults to 90 days and is capped", async () => {
+    const { apiKey } = await issue();
+    const days = (apiKey.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(90);
+
+    await expect(
+      issue({ expiresAt: new Date(Date.now() + 400 * 24 * 60 * 60 * 1000) }),
+    ).rejects.toThrow("API keys can be valid for at most 365 days");
+    await expect(issue({ expiresAt: new Date(Date.now() - 1000) })).rejects.toThrow(
+      "expiresAt must be in the future",
+    );
+  });
+
+  test("keys never reach the logs", async () => {
+    const { key } = await issue();
+
+    expect(redactString(`calling with ${key}`)).toBe(`calling with ${REDACTED}`);
+  });
+});
@@ -0,0 +1,156 @@
+// src/__tests__/auditChain.test.js
+import crypto from "crypto";
+import { connectMongo } from "../config/mongo.js";
+import {
+  appendAuditRecord,
+  hashAuditRecord,
+  verifyAuditChainService,
+} from "../services/auditChainService.js";
+import { canonicalJson } from "../utils/canonicalJson.js";
+
+process.env.AUDIT_CHAIN_KEY = "audit-chain-test-key";
+
+jest.mock("../config/mongo.js", () => {
+  const collections = {};
+
+  const fakeCollection = () => {
+    const docs = [];
+    const inRange = (query) => (doc) =>
+      doc.seq !== undefined &&
+      (!query.timestamp?.$gte || doc.timestamp >= query.timestamp.$gte) &&
+      (!query.timestamp?.$lte || doc.timestamp <= query.timestamp.$lte);
+
+    return {
+      docs,
+      insertOne: async (doc) => {
+        if (docs.some((d) => d.seq === doc.seq)) {
+          throw Object.assign(new Error("duplicate key"), { code: 11000 });
+        }
+        docs.push({ _id: `id-${docs.length + 1}`, ...doc, details: { ...doc.details } });
+      },
+      findOne: async (query) =>
+        typeof query.seq === "number"
+          ? docs.find((d) => d.seq === query.seq) || null
+          : [...docs].sort((a, b) => b.seq - a.seq)[0] || null,
+      find: (query) => ({
+        sort: () => docs.filter(inRange(query)).sort((a, b) => a.seq - b.seq),
+      }),
+    };
+  };
+
+  const db = {
+    collections,
+    collection: (name) => (collections[name] ||= fakeCollection()),
+  };
+
+  return { connectMongo: async () => db };
+});
+
+let db;
+
+const log = (type, details = {}) =>
+  appendAuditRecord("adminAuthLogs", {
+    type,
+    identifier: "staff@test.com",
+    details,
+    timestamp: new Date(),
+  });
+
+const authReport = async () =>
+  (await verifyAuditChainService()).find(
+    (report) => report.collection === "adminAuthLogs",
+  );
+
+beforeEach(async () => {
+  db = await connectMongo();
+  db.collections.adminAuthLogs = undefined;
+  db.collections.adminGraphQLLogs = undefined;
+});
+
+describe("Hash-chained audit trail", () => {
+  test("links every record to the previous one", async () => {
+    await Promise.all([log("A"), log("B"), log("C")]);
+
+    const docs = db.collection("adminAuthLogs").docs;
+
+    expect(docs.map((d) => d.seq)).toEqual([1, 2, 3]);
+    expect(docs[1].prevHash).toBe(docs[0].hash);
+    expect(await authReport()).toMatchObject({ checked: 3, valid: true });
+  });
+
+  test("an edited record is reported as the first broken link", async () => {
+    await log("A");
+    await log("LOGIN_FAILED", { reason: "Invalid credentials" });
+    await log("C");
+
+    db.collection("adminAuthLogs").docs[1].details.reason = "nothing to see";
+
+    expect(await authReport()).toMatchObject({
+      valid: false,
+      firstBrokenSeq: 2,
+      firstBrokenId: "id-2",
+      reason: "HASH_MISMATCH",
+    });
+  });
+
+  test("a deleted record is reported as missing", async () => {
+    await log("A");
+    await log("B");
+    await log("C");
+
+    db.collection("adminAuthLogs").docs.splice(1, 1);
+
+    expect(await authReport()).toMatchObject({
+      valid: false,
+      firstBrokenSeq: 2,
+      reason: "MISSING_RECORD",
+    });
+  });
+
+  test("a rewritten record with a fresh hash breaks the next link", async () => {
+    await log("A");
+    await log("B");
+    await log("C");
+
+    const docs = db.collection("adminAuthLogs").docs;
+    docs[1].type = "EDITED";
+    docs[1].hash = hashAuditRecord(docs[1]);
+
+    expect(await authReport()).toMatchObject({
+      valid: false,
+      firstBrokenSeq: 3,
+      reason: "PREVIOUS_HASH_MISMATCH",
+    });
+  });
+
+  test("a chain rebuilt without the key does not verify", async () => {
+    await log("A");
+    await log("B");
+
+    // edit, then recompute every link with a plain sha256
+    const docs = db.collection("adminAuthLogs").docs;
+    docs[1].type = "EDITED";
+    let prevHash = "0".repeat(64);
+    for (const doc of docs) {
+      doc.prevHash = prevHash;
+      const { _id, hash, ...fields } = doc;
+      doc.hash = crypto.createHash("sha256").update(canonicalJson(fields)).digest("hex");
+      prevHash = doc.hash;
+    }
+
+    expect(await authReport()).toMatchObject({
+      valid: false,
+      firstBrokenSeq: 1,
+      reason: "HASH_MISMATCH",
+    });
+  });
+
+  test("appending fails loudly without a key", async () => {
+    delete process.env.AUDIT_CHAIN_KEY;
+    try {
+      await expect(log("A")).rejects.toThrow("AUDIT_CHAIN_KEY is not set");
+    } finally {
+      process.env.AUDIT_CHAIN_KEY = "audit-chain-test-key";
+    }
+  });
+});
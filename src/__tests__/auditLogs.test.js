@@ -0,0 +1,83 @@
+// src/__tests__/auditLogs.test.js
+import { connectMongo } from "../config/mongo.js";
+import { getAuditLogsService } from "../services/auditLogService.js";
+
+jest.mock("../config/mongo.js", () => {
+  const collections = {};
+  const collection = (name) => {
+    collections[name] ||= {
+      aggregate: jest.fn(() => ({ toArray: async () => collections[name].docs })),
+      countDocuments: jest.fn(async () => collections[name].docs.length),
+      docs: [],
+    };
+    return collections[name];
+  };
+  const db = { collection, collections };
+  return { connectMongo: async () => db };
+});
+
+let db;
+
+beforeEach(async () => {
+  db = await connectMongo();
+  db.collection("adminAuthLogs").docs = [
+    {
+      _id: "a1",
+      source: "AUTH",
+      type: "ACCOUNT_UNLOCKED",
+      identifier: "staff@test.com",
+      details: { staffId: "staff-1", ip: "10.0.0.1" },
+      timestamp: new Date("2026-01-02"),
+    },
+  ];
+  db.collection("adminGraphQLLogs").docs = [];
+  jest.clearAllMocks();
+});
+
+describe("Audit log query", () => {
+  test("normalizes both log shapes and counts every source", async () => {
+    const result = await getAuditLogsService({}, 1, 20);
+
+    expect(result.totalCount).toBe(1);
+    expect(result.data[0]).toMatchObject({
+      id: "a1",
+      source: "AUTH",
+      eventType: "ACCOUNT_UNLOCKED",
+      actor: "staff@test.com",
+      target: "staff-1",
+      ip: "10.0.0.1",
+    });
+
+    const [pipeline] = db.collection("adminAuthLogs").aggregate.mock.calls[0];
+    expect(pipeline.some((stage) => stage.$unionWith)).toBe(true);
+  });
+
+  test("applies the same filter to every collection", async () => {
+    await getAuditLogsService(
+      { actor: "staff-1", ip: "10.0.0.1", from: "2026-01-01" },
+      2,
+      10,
+    );
+
+    const [pipeline] = db.collection("adminAuthLogs").aggregate.mock.calls[0];
+    const union = pipeline.find((stage) => stage.$unionWith).$unionWith;
+
+    expect(union.coll).toBe("adminGraphQLLogs");
+    expect(union.pipeline[0].$match).toEqual(pipeline[0].$match);
+    expect(pipeline[0].$match.$and).toContainEqual({ "details.ip": "10.0.0.1" });
+    expect(pipeline).toContainEqual({ $skip: 10 });
+  });
+
+  test("single source skips the union", async () => {
+    await getAuditLogsService({ source: "GRAPHQL" }, 1, 20);
+
+    const [pipeline] = db.collection("adminGraphQLLogs").aggregate.mock.calls[0];
+    expect(pipeline.some((stage) => stage.$unionWith)).toBe(false);
+  });
+
+  test("rejects an inverted date range", async () => {
+    await expect(
+      getAuditLogsService({ from: "2026-02-01", to: "2026-01-01" }),
+    ).rejects.toThrow("Invalid date range");
+  });
+});
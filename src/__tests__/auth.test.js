@@ -129,7 +129,7 @@ describe("Admin GraphQL Resolvers - Queries", () => {
     const res = await request(app)
       .post("/graphql")
       .send({ query: `query { getUsersDetails(page:1, limit:5){ data { id } } }` });
-    expect(res.body.errors[0].message).toBe("Admin only");
+    expect(res.body.errors[0].message).toBe("Unauthorized");
   });
 
  it("getUsersListBySearch - should return paginated and filtered users", async () => {
@@ -283,7 +283,7 @@ it("updateUser - ADMIN can update user", async () => {
     });
 
   expect(res.body.errors).toBeDefined();
-  expect(res.body.errors[0].message).toBe("Admin only");
+  expect(res.body.errors[0].message).toBe("Unauthorized");
 });
 
 });
@@ -1036,7 +1036,7 @@ it("getRoles - should fail for non SUPER_ADMIN", async () => {
   );
 });
 
-it("assignPermissionsToRole - SUPER_ADMIN can assign permissions to a role", async () => {
+it("assignPermissionsToRole - SUPER_ADMIN files a change request for a second reviewer", async () => {
   // 1️⃣ Create a permission
   const permission = await prisma.permission.create({
     data: {
@@ -1076,12 +1076,18 @@ it("assignPermissionsToRole - SUPER_ADMIN can assign permissions to a role", asy
       `,
     });
 
-  // 4️⃣ Assertions
-  expect(res.body.errors).toBeUndefined();
-  expect(res.body.data.assignPermissionsToRole.id).toBe(role.id);
-  expect(res.body.data.assignPermissionsToRole.permissions).toHaveLength(1);
-  expect(res.body.data.assignPermissionsToRole.permissions[0].id).toBe(permission.id);
-  expect(res.body.data.assignPermissionsToRole.permissions[0].name).toBe("TEST_PERMISSION");
+  // 4️⃣ Assertions: four-eyes — nothing is granted until someone else approves
+  expect(res.body.errors[0].extensions.code).toBe("APPROVAL_REQUIRED");
+
+  const changeRequest = await prisma.changeRequest.findUnique({
+    where: { id: res.body.errors[0].extensions.changeRequestId },
+  });
+  expect(changeRequest.status).toBe("PENDING");
+  expect(changeRequest.operation).toBe("assignPermissionsToRole");
+  expect(changeRequest.args.permissionIds).toEqual([permission.id]);
+
+  const granted = await prisma.rolePermission.findMany({ where: { roleId: role.id } });
+  expect(granted).toHaveLength(0);
 });
 
 it("assignPermissionsToRole - should fail if non SUPER_ADMIN tries", async () => {
@@ -1103,7 +1109,7 @@ it("assignPermissionsToRole - should fail if non SUPER_ADMIN tries", async () =>
     });
 
   expect(res.body.errors).toBeDefined();
-  expect(res.body.errors[0].message).toBe("Only SUPER_ADMIN can assign permissions");
+  expect(res.body.errors[0].message).toBe("Unauthorized: Missing permission");
 });
 
 it("assignPermissionsToRole - should fail if role not found", async () => {
@@ -1690,7 +1696,7 @@ test("getApprovedAstrologers - non admin fails", async () => {
       { page: 1, limit: 10 },
       { user: { role: "SUPER_ADMIN" } }
     )
-  ).rejects.toThrow("Admin only");
+  ).rejects.toThrow("Unauthorized");
 });
 
 test("getApprovedAstrologers - no user fails", async () => {
@@ -1700,7 +1706,7 @@ test("getApprovedAstrologers - no user fails", async () => {
       { page: 1, limit: 10 },
       {}
     )
-  ).rejects.toThrow("Admin only");
+  ).rejects.toThrow("Unauthorized");
 });
 
  test("getPendingAstrologers - admin access", async () => {
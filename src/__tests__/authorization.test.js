@@ -0,0 +1,155 @@
+// src/__tests__/authorization.test.js
+import { ApolloServer } from "@apollo/server";
+import { gql } from "graphql-tag";
+import prisma from "../config/prisma.js";
+import typeDefs from "../graphql/typeDefs.js";
+import {
+  applyAuthorization,
+  findUnannotatedFields,
+} from "../graphql/authorization.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+  },
+}));
+
+const schema = gql`
+  directive @public on FIELD_DEFINITION
+  directive @authenticated on FIELD_DEFINITION
+  directive @requiresPermission(name: String!) on FIELD_DEFINITION
+
+  type Query {
+    open: String @public
+    me: String @authenticated
+    roles: String @requiresPermission(name: "roles.read")
+    forgotten: String
+  }
+`;
+
+const resolvers = applyAuthorization(schema, {
+  Query: {
+    open: () => "open",
+    me: () => "me",
+    roles: () => "roles",
+    forgotten: () => "forgotten",
+  },
+});
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+
+let granted = [];
+
+const contextWith = (user) => ({ user });
+
+beforeEach(() => {
+  granted = [];
+  prisma.staff.findUnique.mockImplementation(async () => staff);
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.rolePermission.findMany.mockImplementation(async () =>
+    granted.map((name) => ({ permission: { name, modules: [] } })),
+  );
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+});
+
+describe("Operation authorization", () => {
+  test("every Query and Mutation in the real schema is annotated", () => {
+    expect(findUnannotatedFields(typeDefs)).toEqual([]);
+  });
+
+  test("@public needs no user", async () => {
+    await expect(resolvers.Query.open({}, {}, contextWith(null))).resolves.toBe(
+      "open",
+    );
+  });
+
+  test("@authenticated rejects anonymous callers", async () => {
+    await expect(resolvers.Query.me({}, {}, contextWith(null))).rejects.toThrow(
+      "Unauthorized",
+    );
+    await expect(resolvers.Query.me({}, {}, contextWith(staff))).resolves.toBe(
+      "me",
+    );
+  });
+
+  test("@requiresPermission checks the named permission", async () => {
+    await expect(
+      resolvers.Query.roles({}, {}, contextWith(staff)),
+    ).rejects.toThrow("Unauthorized: Missing permission");
+
+    granted = ["roles.read"];
+    await expect(
+      resolvers.Query.roles({}, {}, contextWith({ ...staff, id: "staff-2" })),
+    ).resolves.toBe("roles");
+  });
+
+  test("fields without a rule are denied, even for super admins", async () => {
+    const superAdmin = { ...staff, role: { slug: "super-admin" } };
+
+    await expect(
+      resolvers.Query.forgotten({}, {}, contextWith(superAdmin)),
+    ).rejects.toThrow("no authorization rule");
+  });
+});
+
+describe("Password-change tokens", () => {
+  const mutations = gql`
+    directive @authenticated on FIELD_DEFINITION
+
+    type Query {
+      me: String @authenticated
+    }
+
+    type Mutation {
+      changeMyPassword: Boolean @authenticated
+      deleteStaff: Boolean @authenticated
+    }
+  `;
+
+  const deleteStaff = jest.fn(() => true);
+
+  const server = new ApolloServer({
+    typeDefs: mutations,
+    resolvers: applyAuthorization(mutations, {
+      Query: { me: () => "me" },
+      Mutation: { changeMyPassword: () => true, deleteStaff },
+    }),
+  });
+
+  const run = async (query) => {
+    const { body } = await server.executeOperation(
+      { query },
+      { contextValue: { user: staff, token: { scope: "password-change" } } },
+    );
+    return body.singleResult;
+  };
+
+  test("only changeMyPassword and logout are allowed", async () => {
+    expect((await run("mutation { changeMyPassword }")).data).toEqual({
+      changeMyPassword: true,
+    });
+
+    const { errors } = await run("{ me }");
+    expect(errors[0].extensions.code).toBe("PASSWORD_CHANGE_REQUIRED");
+  });
+
+  test("fragments and aliases don't get past the check", async () => {
+    const queries = [
+      "mutation { changeMyPassword: deleteStaff }",
+      "mutation { ...m } fragment m on Mutation { changeMyPassword deleteStaff }",
+      "mutation { changeMyPassword ... on Mutation { deleteStaff } }",
+    ];
+
+    for (const query of queries) {
+      const { errors } = await run(query);
+      expect(errors.map((error) => error.extensions.code)).toEqual([
+        "PASSWORD_CHANGE_REQUIRED",
+      ]);
+    }
+    expect(deleteStaff).not.toHaveBeenCalled();
+  });
+});
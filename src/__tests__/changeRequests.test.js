@@ -0,0 +1,308 @@
+// src/__tests__/changeRequests.test.js
+import prisma from "../config/prisma.js";
+import { checkPermission } from "../services/permissionService.js";
+import {
+  approveChangeRequestService,
+  grantsPrivilege,
+  listChangeRequestsService,
+  rejectChangeRequestService,
+  requireApproval,
+  staffUpdateNeedsApproval,
+} from "../services/changeRequestService.js";
+import { redact } from "../utils/redact.js";
+import {
+  flushLogs,
+  registerLogSink,
+  useLogSinks,
+} from "../services/logService.js";
+
+jest.mock("../config/prisma.js", () => {
+  const rows = new Map();
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([key, value]) => {
+      if (key === "OR" || key === "expiresAt") return true;
+      if (value?.in) return value.in.includes(row[key]);
+      return row[key] === value;
+    });
+
+  return {
+    __esModule: true,
+    default: {
+      rows,
+      role: { findUnique: jest.fn() },
+      rolePermission: { findMany: jest.fn() },
+      permission: { findMany: jest.fn() },
+      changeRequest: {
+        create: jest.fn(async ({ data }) => {
+          const row = { id: `cr-${rows.size + 1}`, status: "PENDING", ...data };
+          rows.set(row.id, row);
+          return { ...row };
+        }),
+        findUnique: jest.fn(async ({ where }) =>
+          rows.has(where.id) ? { ...rows.get(where.id) } : null,
+        ),
+        findMany: jest.fn(async ({ where }) =>
+          [...rows.values()].filter(
+            (row) =>
+              matches(row, where) &&
+              (!where.expiresAt || row.expiresAt <= where.expiresAt.lte),
+          ),
+        ),
+        count: jest.fn(async () => rows.size),
+        update: jest.fn(async ({ where, data }) => {
+          rows.set(where.id, { ...rows.get(where.id), ...data });
+          return { ...rows.get(where.id) };
+        }),
+        updateMany: jest.fn(async ({ where, data }) => {
+          let count = 0;
+          for (const row of rows.values()) {
+            if (!matches(row, where)) continue;
+            rows.set(row.id, { ...row, ...data });
+            count += 1;
+          }
+          return { count };
+        }),
+      },
+    },
+  };
+});
+
+jest.mock("../services/permissionService.js", () => ({
+  checkPermission: jest.fn(),
+}));
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const requester = { id: "staff-1", role: { slug: "hr" } };
+const reviewer = { id: "staff-2", role: { slug: "hr" } };
+
+let written;
+let granted;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(async () => {
+  await flushLogs();
+  written = [];
+  granted = { [requester.id]: ["roles.update"], [reviewer.id]: ["roles.update"] };
+  useLogSinks(["memory"]);
+  prisma.rows.clear();
+  delete process.env.FOUR_EYES_ENABLED;
+  checkPermission.mockImplementation(async (context, permission) => {
+    if (!granted[context.user.id]?.includes(permission)) {
+      throw new Error("Unauthorized: Missing permission");
+    }
+    return true;
+  });
+});
+
+const fileRequest = async () => {
+  try {
+    await requireApproval(
+      { user: requester },
+      "assignPermissionsToRole",
+      { roleId: "role-1", permissionIds: ["perm-1"], grants: undefined },
+      "Grant staff.create to role HR",
+    );
+  } catch (error) {
+    return error;
+  }
+  throw new Error("expected APPROVAL_REQUIRED");
+};
+
+describe("Four-eyes change requests", () => {
+  test("gated mutations file a request instead of applying", async () => {
+    const error = await fileRequest();
+
+    expect(error.extensions).toEqual(
+      expect.objectContaining({
+        code: "APPROVAL_REQUIRED",
+        changeRequestId: "cr-1",
+      }),
+    );
+    expect(prisma.rows.get("cr-1")).toEqual(
+      expect.objectContaining({
+        operation: "assignPermissionsToRole",
+        args: { roleId: "role-1", permissionIds: ["perm-1"] },
+        requestedBy: requester.id,
+        expiresAt: expect.any(Date),
+      }),
+    );
+  });
+
+  test("the requester cannot approve their own change", async () => {
+    await fileRequest();
+    const apply = jest.fn();
+
+    await expect(
+      approveChangeRequestService({ user: requester }, "cr-1", null, apply),
+    ).rejects.toThrow("A change request needs a second person to approve it");
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  test("the approver needs the mutation's own permission", async () => {
+    await fileRequest();
+    granted[reviewer.id] = [];
+
+    await expect(
+      approveChangeRequestService({ user: reviewer }, "cr-1", null, jest.fn()),
+    ).rejects.toThrow("Unauthorized: Missing permission");
+    expect(checkPermission).toHaveBeenCalledWith(
+      { user: reviewer },
+      "roles.update",
+    );
+  });
+
+  test("a second reviewer applies it once, with an audit trail", async () => {
+    await fileRequest();
+    const apply = jest.fn(async () => ({}));
+
+    const approved = await approveChangeRequestService(
+      { user: reviewer },
+      "cr-1",
+      "ok for Diwali",
+      apply,
+    );
+    await flushLogs();
+
+    expect(apply).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "cr-1", operation: "assignPermissionsToRole" }),
+    );
+    expect(approved).toEqual(
+      expect.objectContaining({
+        status: "APPROVED",
+        reviewedBy: reviewer.id,
+        reviewNote: "ok for Diwali",
+        appliedAt: expect.any(Date),
+      }),
+    );
+    expect(written.map((entry) => entry.type)).toEqual([
+      "CHANGE_REQUEST_CREATED",
+      "CHANGE_REQUEST_APPROVED",
+      "CHANGE_REQUEST_APPLIED",
+    ]);
+    expect(written.every((e) => e.details.changeRequestId === "cr-1")).toBe(true);
+
+    await expect(
+      approveChangeRequestService({ user: reviewer }, "cr-1", null, apply),
+    ).rejects.toThrow("Change request is approved");
+    expect(apply).toHaveBeenCalledTimes(1);
+  });
+
+  test("a change that no longer applies is marked FAILED", async () => {
+    await fileRequest();
+
+    await expect(
+      approveChangeRequestService({ user: reviewer }, "cr-1", null, async () => {
+        throw new Error("Role not found");
+      }),
+    ).rejects.toThrow("Change request could not be applied: Role not found");
+    expect(prisma.rows.get("cr-1").status).toBe("FAILED");
+  });
+
+  test("expired requests can no longer be approved", async () => {
+    await fileRequest();
+    prisma.rows.get("cr-1").expiresAt = new Date(Date.now() - 1000);
+
+    await expect(
+      approveChangeRequestService({ user: reviewer }, "cr-1", null, jest.fn()),
+    ).rejects.toThrow("Change request is expired");
+  });
+
+  test("reviewers reject and requesters withdraw", async () => {
+    await fileRequest();
+    await fileRequest();
+
+    await rejectChangeRequestService({ user: reviewer }, "cr-1", "too broad");
+    await rejectChangeRequestService({ user: requester }, "cr-2");
+    await flushLogs();
+
+    expect(prisma.rows.get("cr-1").status).toBe("REJECTED");
+    expect(prisma.rows.get("cr-2").status).toBe("REJECTED");
+    expect(written.map((entry) => entry.type)).toEqual(
+      expect.arrayContaining(["CHANGE_REQUEST_REJECTED", "CHANGE_REQUEST_WITHDRAWN"]),
+    );
+  });
+
+  test("lists only requests the caller may review or filed", async () => {
+    await listChangeRequestsService({ user: reviewer }, { status: "PENDING" });
+
+    expect(prisma.changeRequest.findMany).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        where: {
+          status: "PENDING",
+          OR: [
+            // both need roles.update
+            { operation: { in: ["assignPermissionsToRole", "updateRole"] } },
+            { requestedBy: reviewer.id },
+          ],
+        },
+      }),
+    );
+  });
+
+  test("FOUR_EYES_ENABLED=false lets changes through", async () => {
+    process.env.FOUR_EYES_ENABLED = "false";
+
+    await expect(
+      requireApproval({ user: requester }, "assignPermissionsToRole", {}, ""),
+    ).resolves.toBeUndefined();
+    expect(prisma.rows.size).toBe(0);
+  });
+
+  test("roles holding staff/role permissions count as privileged", async () => {
+    prisma.role.findUnique.mockResolvedValue({ id: "role-1", slug: "hr" });
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { permission: { name: "staff.create" } },
+    ]);
+    await expect(grantsPrivilege({ roleId: "role-1" })).resolves.toBe(true);
+
+    prisma.role.findUnique.mockResolvedValue({ id: "role-2", slug: "content" });
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { permission: { name: "faqs.update" } },
+    ]);
+    prisma.permission.findMany.mockResolvedValue([{ name: "banners.create" }]);
+    await expect(
+      grantsPrivilege({ roleId: "role-2", permissionIds: ["perm-9"] }),
+    ).resolves.toBe(false);
+  });
+
+  test("moving staff to a privileged role needs approval", async () => {
+    const current = { id: "staff-9", roleId: "role-2" };
+    prisma.role.findUnique.mockImplementation(async ({ where }) => ({
+      id: where.id,
+      slug: where.id === "role-sa" ? "super-admin" : "content",
+    }));
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { permission: { name: "faqs.update" } },
+    ]);
+
+    await expect(
+      staffUpdateNeedsApproval(current, { roleId: "role-sa" }),
+    ).resolves.toBe(true);
+    await expect(
+      staffUpdateNeedsApproval(current, { roleId: "role-3" }),
+    ).resolves.toBe(false);
+    // unchanged role, no grants
+    await expect(
+      staffUpdateNeedsApproval({ ...current, roleId: "role-sa" }, { roleId: "role-sa" }),
+    ).resolves.toBe(false);
+    await expect(
+      staffUpdateNeedsApproval(current, { permissionIds: [] }),
+    ).resolves.toBe(true);
+  });
+
+  test("the password hash in stored args is not shown to reviewers", () => {
+    const args = { email: "new@x.io", password: "$2a$10$hash", roleId: "role-sa" };
+
+    expect(redact(args)).toEqual({
+      email: "new@x.io",
+      password: "[REDACTED]",
+      roleId: "role-sa",
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// src/__tests__/contactReveal.test.js
+import prisma from "../config/prisma.js";
+import { maskEmail, maskPhone } from "../utils/mask.js";
+import { PERMISSION_CATALOG } from "../graphql/permissionCatalog.js";
+import {
+  maskAstrologerContact,
+  revealContactService,
+  userSearchWhere,
+} from "../services/contactRevealService.js";
+import { invalidateAllPermissions } from "../services/permissionService.js";
+import {
+  flushLogs,
+  registerLogSink,
+  useLogSinks,
+} from "../services/logService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+    user: { findUnique: jest.fn() },
+    astrologer: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+const context = { user: staff, req: { ip: "10.0.0.9" } };
+
+let granted;
+let written;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  granted = ["users.contact.read"];
+  written = [];
+  useLogSinks(["memory"]);
+
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.rolePermission.findMany.mockImplementation(async () =>
+    granted.map((name) => ({ permission: { name, modules: [] } })),
+  );
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+  prisma.user.findUnique.mockResolvedValue({
+    id: "user-1",
+    countryCode: "+91",
+    mobile: "9876543221",
+  });
+});
+
+describe("Contact masking", () => {
+  test("only staff who may see numbers can search users by mobile", async () => {
+    const byName = { name: { contains: "98765", mode: "insensitive" } };
+    const byMobile = { mobile: { contains: "98765" } };
+
+    await expect(userSearchWhere(context, "98765")).resolves.toEqual({
+      OR: [byName, byMobile],
+    });
+
+    granted = ["users.read"];
+    await invalidateAllPermissions();
+    await expect(userSearchWhere(context, "98765")).resolves.toEqual({
+      OR: [byName],
+    });
+
+    await expect(userSearchWhere(context, "")).resolves.toEqual({});
+  });
+
+  test("keeps just enough to recognise the value", () => {
+    expect(maskPhone("9876543221")).toBe("98******21");
+    expect(maskPhone("123")).toBe("***");
+    expect(maskEmail("alice@gmail.com")).toBe("a***@gmail.com");
+    expect(maskEmail("not-an-email")).toBe("***");
+    expect(maskPhone(null)).toBeNull();
+  });
+
+  test("list results mask astrologer email and contact number", () => {
+    expect(
+      maskAstrologerContact({
+        id: "a-1",
+        name: "Ravi",
+        email: "ravi@example.com",
+        contactNo: "9123456780",
+      }),
+    ).toEqual({
+      id: "a-1",
+      name: "Ravi",
+      email: "r***@example.com",
+      contactNo: "91******80",
+    });
+  });
+});
+
+describe("revealContact", () => {
+  test("returns the full value and audits who, what and why", async () => {
+    const result = await revealContactService(
+      context,
+      "USER",
+      "user-1",
+      " Refund call back ",
+    );
+    await flushLogs();
+
+    expect(result).toEqual({
+      entity: "USER",
+      id: "user-1",
+      email: null,
+      mobile: "9876543221",
+      countryCode: "+91",
+    });
+    expect(written).toEqual([
+      expect.objectContaining({
+        type: "CONTACT_REVEALED",
+        actor: staff.id,
+        details: expect.objectContaining({
+          entity: "USER",
+          userId: "user-1",
+          fields: ["mobile", "countryCode"],
+          reason: "Refund call back",
+        }),
+      }),
+    ]);
+  });
+
+  test("needs the entity's contact permission and a reason", async () => {
+    await expect(
+      revealContactService(context, "ASTROLOGER", "a-1", "check"),
+    ).rejects.toThrow("Unauthorized: Missing permission");
+    await expect(
+      revealContactService(context, "USER", "user-1", "  "),
+    ).rejects.toThrow("A reason is required");
+
+    prisma.user.findUnique.mockResolvedValue(null);
+    await expect(
+      revealContactService(context, "USER", "missing", "check"),
+    ).rejects.toThrow("User not found");
+
+    await flushLogs();
+    expect(written).toEqual([]);
+  });
+
+  test("its per-entity permissions are in the catalogue", () => {
+    const operations = (name) =>
+      PERMISSION_CATALOG.find((entry) => entry.name === name)?.operations;
+
+    expect(operations("users.contact.read")).toEqual(["Mutation.revealContact"]);
+    expect(operations("astrologer.contact.read")).toEqual([
+      "Mutation.revealContact",
+    ]);
+  });
+});
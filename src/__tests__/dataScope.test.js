@@ -0,0 +1,119 @@
+// src/__tests__/dataScope.test.js
+import prisma from "../config/prisma.js";
+import { validateDataScopes } from "../services/dataScopeService.js";
+import {
+  checkPermission,
+  invalidateAllPermissions,
+  scopedWhere,
+} from "../services/permissionService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+    astrologer: { count: jest.fn() },
+  },
+}));
+
+const onboarding = {
+  id: "dept-onboarding",
+  scopes: {
+    astrologer: {
+      approvalStatus: ["PENDING", "INTERVIEW", "DOCUMENT_VERIFICATION"],
+      state: ["Kerala"],
+    },
+  },
+};
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+const context = { user: staff };
+
+let department;
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+  department = onboarding;
+
+  prisma.staff.findUnique.mockImplementation(async () => ({ ...staff, department }));
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.rolePermission.findMany.mockResolvedValue([
+    { permission: { name: "astrologer.update", modules: [] } },
+  ]);
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+});
+
+describe("Department data scopes", () => {
+  test("list queries get the department's filters ANDed on", async () => {
+    await expect(
+      scopedWhere(context, "astrologer", { name: { contains: "ra" } }),
+    ).resolves.toEqual({
+      AND: [
+        { name: { contains: "ra" } },
+        {
+          approvalStatus: {
+            in: ["PENDING", "INTERVIEW", "DOCUMENT_VERIFICATION"],
+          },
+        },
+        { addresses: { some: { state: { in: ["Kerala"] } } } },
+      ],
+    });
+  });
+
+  test("staff without scopes and super admins are unrestricted", async () => {
+    await expect(scopedWhere(context, "user", { id: "u-1" })).resolves.toEqual({
+      id: "u-1",
+    });
+
+    const superAdmin = { user: { ...staff, role: { slug: "super-admin" } } };
+    await expect(scopedWhere(superAdmin, "astrologer")).resolves.toEqual({});
+
+    department = { id: "dept-support", scopes: null };
+    await invalidateAllPermissions();
+    await expect(scopedWhere(context, "astrologer")).resolves.toEqual({});
+  });
+
+  test("checkPermission refuses records outside the scope", async () => {
+    const target = { entity: "astrologer", id: "astro-1" };
+
+    prisma.astrologer.count.mockResolvedValue(0);
+    await expect(
+      checkPermission(context, "astrologer.update", target),
+    ).rejects.toThrow("Forbidden: outside your department's data scope");
+
+    prisma.astrologer.count.mockResolvedValue(1);
+    await expect(
+      checkPermission(context, "astrologer.update", target),
+    ).resolves.toBe(true);
+    expect(prisma.astrologer.count).toHaveBeenLastCalledWith({
+      where: {
+        AND: [
+          { id: "astro-1" },
+          expect.objectContaining({ approvalStatus: expect.any(Object) }),
+          expect.objectContaining({ addresses: expect.any(Object) }),
+        ],
+      },
+    });
+  });
+
+  test("validates scopes before they are saved", () => {
+    expect(validateDataScopes(onboarding.scopes)).toBe(onboarding.scopes);
+    expect(validateDataScopes({})).toBeNull();
+
+    expect(() => validateDataScopes({ wallet: {} })).toThrow(
+      "Unknown scope entity: wallet",
+    );
+    expect(() =>
+      validateDataScopes({ astrologer: { rating: ["5"] } }),
+    ).toThrow("Unknown scope rule: astrologer.rating");
+    expect(() =>
+      validateDataScopes({ astrologer: { approvalStatus: ["LIVE"] } }),
+    ).toThrow("Invalid astrologer.approvalStatus value(s): LIVE");
+    expect(() => validateDataScopes({ astrologer: { state: [] } })).toThrow(
+      "astrologer.state must be a non-empty list of values",
+    );
+  });
+});
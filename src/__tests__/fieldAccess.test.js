@@ -0,0 +1,120 @@
+// src/__tests__/fieldAccess.test.js
+import { ApolloServer } from "@apollo/server";
+import { gql } from "graphql-tag";
+import prisma from "../config/prisma.js";
+import typeDefs from "../graphql/typeDefs.js";
+import {
+  applyAuthorization,
+  collectFieldRules,
+} from "../graphql/authorization.js";
+import { fieldAccessPlugin } from "../graphql/plugins/fieldAccess.js";
+import { invalidateAllPermissions } from "../services/permissionService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+  },
+}));
+
+const schema = gql`
+  directive @authenticated on FIELD_DEFINITION
+  directive @requiresPermission(name: String!) on FIELD_DEFINITION
+
+  type Astrologer {
+    id: ID!
+    name: String!
+    email: String @requiresPermission(name: "astrologer.contact.read")
+    callChatCommission: Float @requiresPermission(name: "astrologer.finance.read")
+  }
+
+  type Query {
+    astrologers: [Astrologer!]! @authenticated
+  }
+`;
+
+const rows = [
+  { id: "a-1", name: "Ravi", email: "ravi@example.com", callChatCommission: 30 },
+  { id: "a-2", name: "Mira", email: "mira@example.com", callChatCommission: 25 },
+];
+
+const server = new ApolloServer({
+  typeDefs: schema,
+  resolvers: applyAuthorization(schema, {
+    Query: { astrologers: () => rows },
+  }),
+  plugins: [fieldAccessPlugin()],
+});
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+
+let granted;
+
+const run = async (user = staff) => {
+  const { body } = await server.executeOperation(
+    { query: "{ astrologers { id name email callChatCommission } }" },
+    { contextValue: { user } },
+  );
+  return body.singleResult;
+};
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+  granted = [];
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.rolePermission.findMany.mockImplementation(async () =>
+    granted.map((name) => ({ permission: { name, modules: [] } })),
+  );
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+});
+
+describe("Field-level access", () => {
+  test("hidden fields come back null and are listed in the extensions", async () => {
+    granted = ["astrologer.contact.read"];
+
+    const result = await run();
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.astrologers[0]).toEqual({
+      id: "a-1",
+      name: "Ravi",
+      email: "ravi@example.com",
+      callChatCommission: null,
+    });
+    expect(result.extensions.restrictedFields).toEqual([
+      {
+        field: "Astrologer.callChatCommission",
+        permission: "astrologer.finance.read",
+        reason: "Requires permission astrologer.finance.read",
+      },
+    ]);
+  });
+
+  test("checks each permission once per request, not once per row", async () => {
+    await run();
+
+    // two guarded permissions, two rows
+    expect(prisma.staff.findUnique).toHaveBeenCalledTimes(2);
+  });
+
+  test("super admins see everything and get no extension", async () => {
+    const result = await run({ ...staff, role: { slug: "super-admin" } });
+
+    expect(result.data.astrologers[1].callChatCommission).toBe(25);
+    expect(result.extensions).toBeUndefined();
+  });
+
+  test("astrologer contact and finance fields are guarded in the real schema", () => {
+    const rules = collectFieldRules(typeDefs);
+
+    expect(rules["Astrologer.email"]).toBe("astrologer.contact.read");
+    expect(rules["Astrologer.contactNo"]).toBe("astrologer.contact.read");
+    expect(rules["Astrologer.callChatCommission"]).toBe("astrologer.finance.read");
+    expect(rules["Astrologer.name"]).toBeUndefined();
+  });
+});
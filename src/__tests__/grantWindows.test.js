@@ -0,0 +1,168 @@
+// src/__tests__/grantWindows.test.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import {
+  buildPermissionGrants,
+  checkPermission,
+  getEffectivePermissions,
+  invalidateAllPermissions,
+} from "../services/permissionService.js";
+import { sweepExpiredGrants } from "../services/grantExpiryService.js";
+import {
+  flushLogs,
+  registerLogSink,
+  useLogSinks,
+} from "../services/logService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn(), findMany: jest.fn() },
+    role: { findUnique: jest.fn(), findMany: jest.fn() },
+    rolePermission: { findMany: jest.fn(), deleteMany: jest.fn() },
+    staffPermission: { findMany: jest.fn(), deleteMany: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = { set: jest.fn() };
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const HOUR = 60 * 60 * 1000;
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR);
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+const campaigns = { id: "m-1", name: "Campaigns", slug: "campaigns" };
+
+const grant = (name, window = {}) => ({
+  id: `grant-${name}`,
+  staffId: staff.id,
+  permissionId: `perm-${name}`,
+  permission: { name, modules: [{ module: campaigns }] },
+  validFrom: null,
+  validUntil: null,
+  ...window,
+});
+
+let written;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(async () => {
+  written = [];
+  useLogSinks(["memory"]);
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.role.findUnique.mockResolvedValue({ id: staff.roleId, slug: "support" });
+  prisma.staff.findMany.mockResolvedValue([{ id: staff.id }]);
+  prisma.rolePermission.findMany.mockResolvedValue([grant("campaigns.read")]);
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+});
+
+describe("Time-bound grants", () => {
+  test("only grants inside their window count", async () => {
+    prisma.staffPermission.findMany.mockResolvedValue([
+      grant("campaigns.update", { validUntil: hoursFromNow(2) }),
+      grant("campaigns.delete", { validFrom: hoursFromNow(1) }),
+    ]);
+
+    const { permissions } = await getEffectivePermissions(staff.id);
+    expect(permissions).toEqual(["campaigns.read", "campaigns.update"]);
+
+    const context = { user: staff };
+    await expect(checkPermission(context, "campaigns.update")).resolves.toBe(true);
+    await expect(checkPermission(context, "campaigns.delete")).rejects.toThrow(
+      "Unauthorized: Missing permission",
+    );
+
+    // expired grants are filtered in the query itself
+    expect(prisma.staffPermission.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({
+          OR: [{ validUntil: null }, { validUntil: { gt: expect.any(Date) } }],
+        }),
+      }),
+    );
+  });
+
+  test("the cache does not outlive a grant window", async () => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T10:00:00Z") });
+    try {
+      prisma.staffPermission.findMany.mockResolvedValue([
+        grant("campaigns.update", {
+          validUntil: new Date("2026-10-19T10:01:00Z"),
+        }),
+      ]);
+
+      await getEffectivePermissions(staff.id);
+      jest.setSystemTime(new Date("2026-10-19T10:01:30Z"));
+      prisma.staffPermission.findMany.mockResolvedValue([]);
+
+      expect((await getEffectivePermissions(staff.id)).permissions).toEqual([
+        "campaigns.read",
+      ]);
+      expect(prisma.staffPermission.findMany).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("rejects inverted, past and duplicate windows", () => {
+    expect(() =>
+      buildPermissionGrants([], [
+        { permissionId: "p-1", validFrom: hoursFromNow(3), validUntil: hoursFromNow(2) },
+      ]),
+    ).toThrow("validFrom must be before validUntil");
+
+    expect(() =>
+      buildPermissionGrants([], [{ permissionId: "p-1", validUntil: hoursFromNow(-1) }]),
+    ).toThrow("validUntil must be in the future");
+
+    expect(() =>
+      buildPermissionGrants(["p-1"], [{ permissionId: "p-1", validUntil: hoursFromNow(1) }]),
+    ).toThrow("Permission p-1 is granted twice");
+  });
+});
+
+describe("Expired grant sweep", () => {
+  test("deletes expired grants, logs each one and drops cached access", async () => {
+    getRedis().set.mockResolvedValue("OK");
+    const expired = grant("campaigns.update", { validUntil: hoursFromNow(-1) });
+    prisma.staffPermission.findMany.mockResolvedValue([expired]);
+    prisma.rolePermission.findMany.mockResolvedValue([]);
+
+    const result = await sweepExpiredGrants();
+    await flushLogs();
+
+    expect(result).toEqual({ staffGrants: 1, roleGrants: 0 });
+    expect(prisma.staffPermission.deleteMany).toHaveBeenCalledWith({
+      where: { id: { in: [expired.id] } },
+    });
+    expect(prisma.rolePermission.deleteMany).not.toHaveBeenCalled();
+    expect(written).toEqual([
+      expect.objectContaining({
+        type: "PERMISSION_GRANT_EXPIRED",
+        actor: "system",
+        details: expect.objectContaining({
+          staffId: staff.id,
+          permission: "campaigns.update",
+        }),
+      }),
+    ]);
+  });
+
+  test("skips the run while another instance holds the lock", async () => {
+    getRedis().set.mockResolvedValue(null);
+
+    expect(await sweepExpiredGrants()).toEqual({ staffGrants: 0, roleGrants: 0 });
+    expect(prisma.staffPermission.findMany).not.toHaveBeenCalled();
+  });
+});
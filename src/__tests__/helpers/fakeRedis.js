@@ -0,0 +1,120 @@
+// src/__tests__/helpers/fakeRedis.js
+// In-memory stand-in for the ioredis client, with just the commands (and the
+// tokenService Lua scripts) the services use. Load it from a mock factory:
+//
+//   jest.mock("../config/redis.js", () => {
+//     const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+//     return { getRedis: () => redis };
+//   });
+//
+// and call getRedis().reset() in beforeEach. `store` is exposed for assertions.
+export const createFakeRedis = () => {
+  const store = new Map();
+  const ttls = new Map();
+  const hash = (key) => store.get(key) || {};
+  const members = (key) => store.get(key) || new Set();
+
+  const redis = {
+    store,
+    ttls,
+
+    reset() {
+      store.clear();
+      ttls.clear();
+    },
+
+    // ================== KEYS ==================
+    get: async (key) => store.get(key) ?? null,
+    set: async (key, value, _ex, seconds) => {
+      store.set(key, String(value));
+      if (seconds) ttls.set(key, seconds);
+      else ttls.delete(key);
+      return "OK";
+    },
+    incr: async (key) => {
+      const next = Number(store.get(key) || 0) + 1;
+      store.set(key, String(next));
+      return next;
+    },
+    exists: async (key) => (store.has(key) ? 1 : 0),
+    del: async (...keys) =>
+      keys.filter((key) => {
+        ttls.delete(key);
+        return store.delete(key);
+      }).length,
+    expire: async (key, seconds) => {
+      ttls.set(key, seconds);
+      return 1;
+    },
+    pexpireat: async () => 1,
+    ttl: async (key) => (store.has(key) ? ttls.get(key) ?? -1 : -2),
+
+    // ================== HASHES ==================
+    hget: async (key, field) => hash(key)[field] ?? null,
+    hgetall: async (key) => ({ ...hash(key) }),
+    hset: async (key, ...args) => {
+      const values =
+        typeof args[0] === "object" ? args[0] : { [args[0]]: args[1] };
+      const stringified = Object.fromEntries(
+        Object.entries(values).map(([field, value]) => [field, String(value)]),
+      );
+      store.set(key, { ...hash(key), ...stringified });
+    },
+    hincrby: async (key, field, by) => {
+      const next = Number(hash(key)[field] || 0) + by;
+      store.set(key, { ...hash(key), [field]: String(next) });
+      return next;
+    },
+
+    // ================== SETS ==================
+    sadd: async (key, ...added) =>
+      store.set(key, new Set([...members(key), ...added])),
+    srem: async (key, ...removed) => {
+      const next = members(key);
+      removed.forEach((member) => next.delete(member));
+      store.set(key, next);
+    },
+    smembers: async (key) => [...members(key)],
+
+    // ROTATE_SCRIPT and TOUCH_SCRIPT from tokenService
+    eval: async (script, _numKeys, key, ...args) => {
+      if (!store.has(key)) return 0;
+
+      // rotate: swap current only if the presented jti is still current
+      if (script.includes('"current"')) {
+        const [presented, next, , seenAt] = args;
+        if (hash(key).current !== presented) return 0;
+        store.set(key, { ...hash(key), current: next, lastSeenAt: seenAt });
+        return 1;
+      }
+
+      store.set(key, { ...hash(key), lastSeenAt: args[0] });
+      return 1;
+    },
+
+    multi() {
+      const ops = [];
+      const chain = new Proxy(
+        {},
+        {
+          get: (_, name) =>
+            name === "exec"
+              ? async () => {
+                  const results = [];
+                  for (const [op, args] of ops) {
+                    results.push([null, await redis[op](...args)]);
+                  }
+                  return results;
+                }
+              : (...args) => {
+                  ops.push([name, args]);
+                  return chain;
+                },
+        },
+      );
+      return chain;
+    },
+  };
+
+  return redis;
+};
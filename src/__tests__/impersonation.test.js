@@ -0,0 +1,245 @@
+// src/__tests__/impersonation.test.js
+import { gql } from "graphql-tag";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { verifyAccessToken } from "../config/jwt.js";
+import { applyAuthorization } from "../graphql/authorization.js";
+import { impersonateStaffService } from "../services/impersonationService.js";
+import { logoutStaffService } from "../services/tokenService.js";
+import {
+  flushLogs,
+  logGraphQLEvent,
+  registerLogSink,
+  runWithCorrelationId,
+  setImpersonation,
+  useLogSinks,
+} from "../services/logService.js";
+
+process.env.JWT_SECRET = "impersonation-test-secret";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = {
+    set: jest.fn(async () => "OK"),
+    hget: jest.fn(async () => "admin-1"),
+    del: jest.fn(async () => 1),
+    srem: jest.fn(async () => 1),
+  };
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const admin = { id: "admin-1", roleId: "role-sa", role: { slug: "super-admin" } };
+const support = {
+  id: "staff-2",
+  roleId: "role-support",
+  isActive: true,
+  role: { slug: "support" },
+};
+
+const adminContext = {
+  user: admin,
+  token: { id: admin.id, sid: "sid-admin" },
+  req: { ip: "10.0.0.1" },
+};
+
+let written;
+
+beforeAll(() => {
+  // audit entries only, not startup warnings like the HS256 fallback
+  registerLogSink("memory", {
+    accepts: (entry) => entry.channel !== "app",
+    write: async (entry) => written.push(entry),
+  });
+});
+
+// role-lead inherits from super-admin
+const roles = {
+  "role-sa": { id: "role-sa", slug: "super-admin", parentId: null },
+  "role-lead": { id: "role-lead", slug: "ops-lead", parentId: "role-sa" },
+  "role-support": { id: "role-support", slug: "support", parentId: null },
+};
+
+beforeEach(async () => {
+  await flushLogs();
+  written = [];
+  useLogSinks(["memory"]);
+  prisma.staff.findUnique.mockResolvedValue(support);
+  prisma.role.findUnique.mockImplementation(
+    async ({ where }) => roles[where.id] || null,
+  );
+});
+
+describe("impersonateStaff", () => {
+  test("issues a short-lived token carrying actor and subject", async () => {
+    const result = await impersonateStaffService(
+      adminContext,
+      support.id,
+      "Ticket #42: menu missing",
+    );
+    await flushLogs();
+
+    const decoded = verifyAccessToken(result.accessToken);
+    expect(decoded).toEqual(
+      expect.objectContaining({
+        id: support.id,
+        type: "staff",
+        actorId: admin.id,
+        subjectId: support.id,
+        sid: "sid-admin",
+      }),
+    );
+    expect(decoded.exp - decoded.iat).toBe(600);
+    expect(result.subject).toBe(support);
+
+    expect(written).toEqual([
+      expect.objectContaining({
+        type: "IMPERSONATION_STARTED",
+        actor: admin.id,
+        details: expect.objectContaining({
+          actorId: admin.id,
+          subjectId: support.id,
+          reason: "Ticket #42: menu missing",
+        }),
+      }),
+    ]);
+  });
+
+  test("is restricted to super-admins", async () => {
+    await expect(
+      impersonateStaffService(
+        {
+          user: { id: "staff-3", roleId: "role-support", role: { slug: "support" } },
+          token: {},
+        },
+        support.id,
+        "curious",
+      ),
+    ).rejects.toThrow("Only super-admins can impersonate staff");
+  });
+
+  test("needs a reason and refuses other super-admins", async () => {
+    await expect(
+      impersonateStaffService(adminContext, support.id, "  "),
+    ).rejects.toThrow("A reason is required");
+
+    prisma.staff.findUnique.mockResolvedValue({
+      ...support,
+      roleId: "role-sa",
+      role: { slug: "super-admin" },
+    });
+    await expect(
+      impersonateStaffService(adminContext, support.id, "check"),
+    ).rejects.toThrow("Cannot impersonate a super-admin");
+  });
+
+  test("roles inheriting from super-admin count as super-admin", async () => {
+    // subject: refused like a super-admin
+    prisma.staff.findUnique.mockResolvedValue({
+      ...support,
+      roleId: "role-lead",
+      role: { slug: "ops-lead" },
+    });
+    await expect(
+      impersonateStaffService(adminContext, support.id, "check"),
+    ).rejects.toThrow("Cannot impersonate a super-admin");
+
+    // actor: allowed to impersonate
+    prisma.staff.findUnique.mockResolvedValue(support);
+    const leadContext = {
+      ...adminContext,
+      user: { id: "staff-4", roleId: "role-lead", role: { slug: "ops-lead" } },
+    };
+    await expect(
+      impersonateStaffService(leadContext, support.id, "Ticket #7"),
+    ).resolves.toEqual(expect.objectContaining({ accessToken: expect.any(String) }));
+  });
+
+  test("logging out ends the impersonation but not the actor's session", async () => {
+    await logoutStaffService({
+      id: support.id,
+      jti: "jti-1",
+      exp: Math.floor(Date.now() / 1000) + 60,
+      sid: "sid-admin",
+      actorId: admin.id,
+      subjectId: support.id,
+    });
+    await flushLogs();
+
+    expect(getRedis().set).toHaveBeenCalledWith(
+      "access-denylist:jti-1",
+      "1",
+      "EX",
+      expect.any(Number),
+    );
+    expect(getRedis().del).not.toHaveBeenCalled();
+    expect(written[0].type).toBe("IMPERSONATION_ENDED");
+  });
+});
+
+describe("Impersonated requests", () => {
+  const schema = gql`
+    directive @authenticated on FIELD_DEFINITION
+    directive @noImpersonation on FIELD_DEFINITION
+
+    type Query {
+      myAccess: String @authenticated
+    }
+
+    type Mutation {
+      changeMyPassword: String @authenticated @noImpersonation
+    }
+  `;
+
+  const resolvers = applyAuthorization(schema, {
+    Query: { myAccess: () => "access" },
+    Mutation: { changeMyPassword: () => "changed" },
+  });
+
+  const impersonated = {
+    user: support,
+    token: { id: support.id, actorId: admin.id, subjectId: support.id },
+  };
+
+  test("see what the subject sees", async () => {
+    await expect(resolvers.Query.myAccess(null, {}, impersonated)).resolves.toBe(
+      "access",
+    );
+  });
+
+  test("are blocked from @noImpersonation operations", async () => {
+    await expect(
+      resolvers.Mutation.changeMyPassword(null, {}, impersonated),
+    ).rejects.toThrow("Forbidden: not allowed while impersonating");
+
+    await expect(
+      resolvers.Mutation.changeMyPassword(null, {}, { user: support, token: {} }),
+    ).resolves.toBe("changed");
+  });
+
+  test("record both ids on every log entry", async () => {
+    await runWithCorrelationId("req-1", async () => {
+      setImpersonation({ actorId: admin.id, subjectId: support.id });
+      logGraphQLEvent("SUCCESS", "updateFaq", support.id);
+    });
+    await flushLogs();
+
+    expect(written[0]).toEqual(
+      expect.objectContaining({
+        actor: support.id,
+        correlationId: "req-1",
+        impersonation: { actorId: admin.id, subjectId: support.id },
+      }),
+    );
+  });
+});
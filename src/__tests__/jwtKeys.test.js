@@ -0,0 +1,129 @@
+// src/__tests__/jwtKeys.test.js
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import { generateAccessToken, verifyAccessToken } from "../config/jwt.js";
+import { getJwks, resetKeyring } from "../config/jwtKeys.js";
+import { logger } from "../services/logService.js";
+
+jest.mock("../services/logService.js", () => ({
+  logger: { warn: jest.fn() },
+}));
+
+const staff = { id: "staff-1", roleId: "role-1" };
+let dir;
+
+const writeKey = (file, type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  const key = file.endsWith(".pub.pem") ? publicKey : privateKey;
+  fs.writeFileSync(
+    path.join(dir, file),
+    key.export({ type: file.endsWith(".pub.pem") ? "spki" : "pkcs8", format: "pem" }),
+  );
+  return privateKey;
+};
+
+const useKeys = (activeKid) => {
+  process.env.JWT_KEYS_DIR = dir;
+  process.env.JWT_ACTIVE_KID = activeKid || "";
+  resetKeyring();
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "jwt-keys-"));
+  process.env.JWT_SECRET = "test-secret";
+  delete process.env.JWT_ACCEPT_HS256;
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.JWT_KEYS_DIR;
+  delete process.env.JWT_ACTIVE_KID;
+  resetKeyring();
+});
+
+describe("Asymmetric access tokens", () => {
+  test("signs with the active key and its kid", () => {
+    writeKey("2026-01.pem", "rsa", { modulusLength: 2048 });
+    writeKey("2026-06.pem", "ec", { namedCurve: "P-256" });
+    useKeys("2026-06");
+
+    const token = generateAccessToken(staff);
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg: "ES256", kid: "2026-06" });
+    expect(verifyAccessToken(token).id).toBe("staff-1");
+  });
+
+  test("tokens from a retired key verify until the key is removed", () => {
+    const retired = writeKey("2026-01.pem", "rsa", { modulusLength: 2048 });
+    useKeys("2026-01");
+    const token = generateAccessToken(staff);
+
+    // rotate: keep only the public half of the old key
+    fs.rmSync(path.join(dir, "2026-01.pem"));
+    fs.writeFileSync(
+      path.join(dir, "2026-01.pub.pem"),
+      crypto.createPublicKey(retired).export({ type: "spki", format: "pem" }),
+    );
+    writeKey("2026-06.pem", "ec", { namedCurve: "P-256" });
+    useKeys("2026-06");
+
+    expect(verifyAccessToken(token).id).toBe("staff-1");
+    expect(getJwks().keys.map((k) => k.kid)).toEqual(["2026-01", "2026-06"]);
+
+    fs.rmSync(path.join(dir, "2026-01.pub.pem"));
+    useKeys("2026-06");
+
+    expect(() => verifyAccessToken(token)).toThrow(
+      "Invalid or expired access token",
+    );
+  });
+
+  test("JWKS exposes public material only", () => {
+    writeKey("2026-06.pem", "ec", { namedCurve: "P-256" });
+    useKeys();
+
+    const [key] = getJwks().keys;
+
+    expect(key).toMatchObject({ kid: "2026-06", alg: "ES256", use: "sig", kty: "EC" });
+    expect(key.d).toBeUndefined();
+  });
+
+  test("audit bundles signed with the same key aren't access tokens", () => {
+    const privateKey = writeKey("2026-06.pem", "ec", { namedCurve: "P-256" });
+    useKeys();
+
+    const bundle = jwt.sign({ id: "staff-1", type: "staff" }, privateKey, {
+      algorithm: "ES256",
+      keyid: "2026-06",
+      audience: "audit-bundle",
+      header: { typ: "audit-bundle+jwt" },
+    });
+
+    expect(() => verifyAccessToken(bundle)).toThrow(
+      "Invalid or expired access token",
+    );
+  });
+
+  test("HS256 tokens are rejected once keys are configured", () => {
+    const legacy = jwt.sign({ id: "staff-1", type: "staff" }, "test-secret");
+
+    expect(verifyAccessToken(legacy).id).toBe("staff-1");
+    expect(logger.warn).toHaveBeenCalledWith("JWT_HS256_FALLBACK", {
+      reason: "No signing keys in JWT_KEYS_DIR",
+    });
+
+    writeKey("2026-06.pem", "ec", { namedCurve: "P-256" });
+    useKeys();
+
+    expect(() => verifyAccessToken(legacy)).toThrow(
+      "Invalid or expired access token",
+    );
+
+    process.env.JWT_ACCEPT_HS256 = "true";
+    expect(verifyAccessToken(legacy).id).toBe("staff-1");
+  });
+});
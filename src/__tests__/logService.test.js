@@ -0,0 +1,133 @@
+// src/__tests__/logService.test.js
+import { appendAuditRecord } from "../services/auditChainService.js";
+import {
+  flushLogs,
+  logAuthEvent,
+  logGraphQLEvent,
+  logger,
+  registerLogSink,
+  runWithCorrelationId,
+  useLogSinks,
+} from "../services/logService.js";
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+let written;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(() => {
+  written = [];
+  appendAuditRecord.mockClear();
+  useLogSinks(["memory", "mongo"]);
+  delete process.env.LOG_LEVEL;
+});
+
+describe("Logger", () => {
+  test("auth and graphql events share one schema", async () => {
+    logAuthEvent("LOGIN_FAILED", "staff@test.com", { reason: "Invalid credentials" });
+    logGraphQLEvent("SUCCESS", "updateRole", "staff-1", { roleId: "role-1" });
+    await flushLogs();
+
+    expect(written).toEqual([
+      expect.objectContaining({
+        channel: "auth",
+        level: "warn",
+        type: "LOGIN_FAILED",
+        actor: "staff@test.com",
+        operation: null,
+        details: { reason: "Invalid credentials" },
+        service: "admin-auth-service",
+        timestamp: expect.any(Date),
+      }),
+      expect.objectContaining({
+        channel: "graphql",
+        level: "info",
+        type: "SUCCESS",
+        operation: "updateRole",
+        actor: "staff-1",
+      }),
+    ]);
+  });
+
+  test("audit channels go to their Mongo collection", async () => {
+    logAuthEvent("LOGOUT", "staff-1");
+    logGraphQLEvent("ERROR", "deleteRole", "staff-1");
+    logger.info("SERVER_STARTED");
+    await flushLogs();
+
+    expect(appendAuditRecord.mock.calls.map(([collection]) => collection)).toEqual([
+      "adminAuthLogs",
+      "adminGraphQLLogs",
+    ]);
+  });
+
+  test("entries carry the request's correlation id", async () => {
+    await runWithCorrelationId("req-42", async () => {
+      await Promise.resolve();
+      logAuthEvent("LOGOUT", "staff-1");
+    });
+    logAuthEvent("LOGOUT", "staff-2");
+    await flushLogs();
+
+    expect(written.map((entry) => entry.correlationId)).toEqual(["req-42", null]);
+  });
+
+  test("LOG_LEVEL filters app logs but never audit events", async () => {
+    process.env.LOG_LEVEL = "error";
+
+    logger.warn("SLOW_QUERY");
+    logAuthEvent("LOGOUT", "staff-1");
+    await flushLogs();
+
+    expect(written).toEqual([]);
+    expect(appendAuditRecord).toHaveBeenCalledTimes(1);
+  });
+
+  test("logging does not wait for slow sinks", async () => {
+    let release;
+    registerLogSink("slow", {
+      write: () => new Promise((resolve) => (release = resolve)),
+    });
+    useLogSinks(["slow"]);
+
+    const started = Date.now();
+    logAuthEvent("LOGOUT", "staff-1");
+    expect(Date.now() - started).toBeLessThan(50);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    release();
+    await flushLogs();
+  });
+
+  test("a full queue drops app entries but never audit events", async () => {
+    process.env.LOG_QUEUE_MAX = "3";
+
+    logger.info("APP_1");
+    logAuthEvent("LOGOUT", "staff-1");
+    logAuthEvent("LOGOUT", "staff-2");
+    logAuthEvent("LOGOUT", "staff-3");
+    logAuthEvent("LOGOUT", "staff-4");
+    logger.info("APP_2");
+    await flushLogs();
+    delete process.env.LOG_QUEUE_MAX;
+
+    expect(written.map((entry) => entry.actor || entry.type)).toEqual([
+      "LOG_ENTRIES_DROPPED",
+      "staff-1",
+      "staff-2",
+      "staff-3",
+      "staff-4",
+    ]);
+    expect(written[0].details).toEqual({ count: 2 });
+    expect(appendAuditRecord).toHaveBeenCalledTimes(4);
+  });
+
+  test("rejects unknown sinks", () => {
+    expect(() => useLogSinks(["kafka"])).toThrow("Unknown log sink(s): kafka");
+  });
+});
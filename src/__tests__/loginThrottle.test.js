@@ -0,0 +1,121 @@
+// src/__tests__/loginThrottle.test.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { logAuthEvent } from "../services/logService.js";
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  recordLoginFailure,
+  unlockStaffService,
+} from "../services/loginThrottleService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/logService.js", () => ({
+  logAuthEvent: jest.fn(),
+}));
+
+const staff = { id: "staff-1", email: "staff@test.com" };
+const ip = "10.0.0.1";
+
+const fail = async (times, email = staff.email, from = ip) => {
+  for (let i = 0; i < times; i++) await recordLoginFailure(email, from);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getRedis().reset();
+  prisma.staff.findUnique.mockResolvedValue(staff);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("Login throttling", () => {
+  test("three free attempts, then a doubling wait", async () => {
+    await fail(2);
+    await expect(assertLoginAllowed(staff.email, ip)).resolves.toBeUndefined();
+
+    await fail(1);
+    await expect(assertLoginAllowed(staff.email, ip)).rejects.toThrow(
+      "Too many failed attempts. Try again in 2s",
+    );
+
+    await fail(1);
+    await expect(assertLoginAllowed(staff.email, ip)).rejects.toThrow(
+      "Too many failed attempts. Try again in 4s",
+    );
+  });
+
+  test("the wait runs out", async () => {
+    jest.useFakeTimers({ now: new Date("2026-10-19T10:00:00Z") });
+    await fail(3);
+
+    jest.setSystemTime(new Date("2026-10-19T10:00:03Z"));
+    await expect(assertLoginAllowed(staff.email, ip)).resolves.toBeUndefined();
+  });
+
+  test("ten failures lock the account, whatever the email's case", async () => {
+    await fail(10, "Staff@Test.com", null);
+
+    await expect(assertLoginAllowed(staff.email)).rejects.toThrow(
+      "Account temporarily locked. Try again in 15 minute(s)",
+    );
+    expect(logAuthEvent).toHaveBeenCalledWith(
+      "ACCOUNT_LOCKED",
+      staff.email,
+      expect.objectContaining({ scope: "email", failedAttempts: 10 }),
+    );
+  });
+
+  test("one IP spraying many accounts is locked out on its own counter", async () => {
+    for (let i = 0; i < 50; i++) {
+      await recordLoginFailure(`staff${i}@test.com`, ip);
+    }
+
+    await expect(assertLoginAllowed("fresh@test.com", ip)).rejects.toThrow(
+      "Account temporarily locked",
+    );
+    await expect(
+      assertLoginAllowed("fresh@test.com", "10.0.0.2"),
+    ).resolves.toBeUndefined();
+  });
+
+  test("a good login clears the email counter but not the IP's", async () => {
+    await fail(3);
+    await clearLoginFailures(staff.email);
+
+    expect(getRedis().store.has(`login-fail:email:${staff.email}`)).toBe(false);
+    expect(getRedis().store.get(`login-fail:ip:${ip}`)).toEqual(
+      expect.objectContaining({ count: "3" }),
+    );
+  });
+
+  test("unlockStaff lifts the lock and resets the counter", async () => {
+    await fail(10, staff.email, null);
+
+    await expect(unlockStaffService(staff.id, "admin-1")).resolves.toBe(true);
+    await expect(assertLoginAllowed(staff.email)).resolves.toBeUndefined();
+    expect(logAuthEvent).toHaveBeenLastCalledWith(
+      "ACCOUNT_UNLOCKED",
+      staff.email,
+      { staffId: staff.id, unlockedBy: "admin-1" },
+    );
+
+    prisma.staff.findUnique.mockResolvedValue(null);
+    await expect(unlockStaffService("nobody", "admin-1")).rejects.toThrow(
+      "Staff not found",
+    );
+  });
+});
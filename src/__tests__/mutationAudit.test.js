@@ -0,0 +1,185 @@
+// src/__tests__/mutationAudit.test.js
+import { ApolloServer } from "@apollo/server";
+import { gql } from "graphql-tag";
+import { logGraphQLEvent } from "../services/logService.js";
+import { mutationAuditPlugin } from "../graphql/plugins/mutationAudit.js";
+
+jest.mock("../services/logService.js", () => ({
+  logGraphQLEvent: jest.fn(),
+  logger: { error: jest.fn() },
+}));
+
+const typeDefs = gql`
+  type Staff {
+    id: ID!
+    name: String
+  }
+  type AstrologerDocument {
+    id: ID!
+    status: String
+  }
+  type Query {
+    ping: String
+  }
+  type Mutation {
+    updateStaff(staffId: ID!, name: String, password: String): Staff
+    createStaff(name: String!): Staff
+    verifyDocument(documentId: ID!, status: String!): AstrologerDocument
+  }
+`;
+
+let rows;
+let documents;
+
+const prisma = {
+  staff: {
+    findUnique: async ({ where }) => (rows[where.id] ? { ...rows[where.id] } : null),
+  },
+  // Int ids, like prisma rejects a string for
+  astrologerDocument: {
+    findUnique: async ({ where }) => {
+      if (typeof where.id !== "number") throw new Error("Expected Int");
+      return documents[where.id] ? { ...documents[where.id] } : null;
+    },
+  },
+};
+
+const resolvers = {
+  Mutation: {
+    updateStaff: (_, { staffId, name, password }) => {
+      if (!rows[staffId]) throw new Error("Staff not found");
+      rows[staffId] = {
+        ...rows[staffId],
+        ...(name && { name }),
+        ...(password && { password: `hash:${password}` }),
+      };
+      return rows[staffId];
+    },
+    createStaff: (_, { name }) => {
+      rows["staff-2"] = { id: "staff-2", name, password: "hash" };
+      return rows["staff-2"];
+    },
+    verifyDocument: (_, { documentId, status }) => {
+      documents[Number(documentId)].status = status;
+      return documents[Number(documentId)];
+    },
+  },
+};
+
+const server = new ApolloServer({
+  typeDefs,
+  resolvers,
+  plugins: [mutationAuditPlugin()],
+});
+
+const run = (query, variables) =>
+  server.executeOperation(
+    { query, variables },
+    { contextValue: { prisma, user: { id: "admin-1" } } },
+  );
+
+// the audit write happens after the response is sent
+const audits = async () => {
+  await new Promise((resolve) => setImmediate(resolve));
+  return logGraphQLEvent.mock.calls.map(
+    ([status, operation, actorId, details]) => ({
+      status,
+      operation,
+      actorId,
+      ...details,
+    }),
+  );
+};
+
+beforeEach(() => {
+  rows = { "staff-1": { id: "staff-1", name: "Old", password: "hash:old" } };
+  documents = { 7: { id: 7, status: "PENDING" } };
+  logGraphQLEvent.mockClear();
+});
+
+describe("Mutation audit plugin", () => {
+  test("records a field diff with secrets redacted", async () => {
+    await run(
+      `mutation Rename($id: ID!) { updateStaff(staffId: $id, name: "New", password: "s3cret") { id } }`,
+      { id: "staff-1" },
+    );
+
+    const [entry] = await audits();
+
+    expect(entry).toMatchObject({
+      operation: "updateStaff",
+      operationName: "Rename",
+      actorId: "admin-1",
+      status: "SUCCESS",
+      entity: "staff",
+      entityId: "staff-1",
+      variables: { staffId: "staff-1", name: "New", password: "[REDACTED]" },
+      changes: {
+        name: { before: "Old", after: "New" },
+        password: { before: "[REDACTED]", after: "[REDACTED]" },
+      },
+    });
+    expect(typeof entry.durationMs).toBe("number");
+  });
+
+  test("takes the id of created records from the result", async () => {
+    await run(`mutation { createStaff(name: "Fresh") { id } }`);
+
+    const [entry] = await audits();
+
+    expect(entry.entityId).toBe("staff-2");
+    expect(entry.changes.name).toEqual({ before: null, after: "Fresh" });
+  });
+
+  test("records failures", async () => {
+    await run(`mutation { updateStaff(staffId: "missing", name: "X") { id } }`);
+
+    const [entry] = await audits();
+
+    expect(entry.status).toBe("ERROR");
+    expect(entry.errors).toEqual(["Staff not found"]);
+    expect(entry.changes).toEqual({});
+  });
+
+  test("mutations inside fragments are audited too", async () => {
+    await run(`
+      mutation {
+        ...rename
+        ... on Mutation { createStaff(name: "Fresh") { id } }
+      }
+      fragment rename on Mutation {
+        renamed: updateStaff(staffId: "staff-1", name: "New") { id }
+      }
+    `);
+
+    const entries = await audits();
+
+    expect(entries.map((entry) => entry.operation).sort()).toEqual([
+      "createStaff",
+      "updateStaff",
+    ]);
+    expect(entries.find((entry) => entry.operation === "updateStaff")).toMatchObject({
+      status: "SUCCESS",
+      entityId: "staff-1",
+      changes: { name: { before: "Old", after: "New" } },
+    });
+  });
+
+  test("Int ids are parsed before the snapshot", async () => {
+    await run(`mutation { verifyDocument(documentId: "7", status: "VERIFIED") { id } }`);
+
+    const [entry] = await audits();
+
+    expect(entry).toMatchObject({
+      entity: "astrologerDocument",
+      entityId: 7,
+      changes: { status: { before: "PENDING", after: "VERIFIED" } },
+    });
+  });
+
+  test("queries are not audited", async () => {
+    await run(`query { ping }`);
+
+    expect(await audits()).toEqual([]);
+  });
+});
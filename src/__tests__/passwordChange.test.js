@@ -0,0 +1,165 @@
+// src/__tests__/passwordChange.test.js
+import bcrypt from "bcryptjs";
+import { gql } from "graphql-tag";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { verifyAccessToken } from "../config/jwt.js";
+import { applyAuthorization } from "../graphql/authorization.js";
+import {
+  changeMyPasswordService,
+  recordAdminSetPassword,
+} from "../services/passwordService.js";
+import { issueStaffTokens } from "../services/tokenService.js";
+
+process.env.JWT_SECRET = "password-change-test-secret";
+process.env.JWT_REFRESH_SECRET = "password-change-test-refresh-secret";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn(), update: jest.fn() },
+    staffCredential: { findUnique: jest.fn(), upsert: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/logService.js", () => ({
+  logAuthEvent: jest.fn(),
+  logger: { warn: jest.fn() },
+}));
+
+const OLD_PASSWORD = "Old-Password1!";
+const NEW_PASSWORD = "N3w-Password!";
+
+let staff;
+let credential;
+
+beforeAll(async () => {
+  staff = {
+    id: "staff-1",
+    email: "staff@test.com",
+    isActive: true,
+    role: { slug: "support" },
+    password: await bcrypt.hash(OLD_PASSWORD, 4),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getRedis().reset();
+  credential = null;
+
+  prisma.staff.findUnique.mockImplementation(async () => staff);
+  prisma.staff.update.mockImplementation(async ({ data }) => ({
+    ...staff,
+    ...data,
+  }));
+  prisma.staffCredential.findUnique.mockImplementation(async () => credential);
+  prisma.staffCredential.upsert.mockImplementation(async ({ create, update }) => {
+    credential = credential ? { ...credential, ...update } : create;
+    return credential;
+  });
+});
+
+describe("Changing my password", () => {
+  test("the current password has to be right", async () => {
+    await expect(
+      changeMyPasswordService(staff.id, "wrong", NEW_PASSWORD),
+    ).rejects.toThrow("Current password is incorrect");
+    expect(prisma.staff.update).not.toHaveBeenCalled();
+  });
+
+  test("the new password has to meet the policy", async () => {
+    await expect(
+      changeMyPasswordService(staff.id, OLD_PASSWORD, "short"),
+    ).rejects.toThrow("Password must contain at least 10 characters");
+  });
+
+  test("the current and recent passwords can't be reused", async () => {
+    await expect(
+      changeMyPasswordService(staff.id, OLD_PASSWORD, OLD_PASSWORD),
+    ).rejects.toThrow("Password was used recently");
+
+    credential = {
+      staffId: staff.id,
+      previousHashes: [await bcrypt.hash(NEW_PASSWORD, 4)],
+    };
+    await expect(
+      changeMyPasswordService(staff.id, OLD_PASSWORD, NEW_PASSWORD),
+    ).rejects.toThrow("Choose one not among your last 2");
+  });
+
+  test("only the last five hashes are kept", async () => {
+    credential = {
+      staffId: staff.id,
+      previousHashes: ["h1", "h2", "h3", "h4", "h5"],
+    };
+
+    await changeMyPasswordService(staff.id, OLD_PASSWORD, NEW_PASSWORD);
+
+    expect(credential.previousHashes).toEqual([
+      staff.password,
+      "h1",
+      "h2",
+      "h3",
+      "h4",
+    ]);
+  });
+});
+
+describe("Admin-set passwords", () => {
+  const restrictedResolvers = applyAuthorization(
+    gql`
+      directive @authenticated on FIELD_DEFINITION
+
+      type Mutation {
+        changeMyPassword: Boolean @authenticated
+        deleteStaff: Boolean @authenticated
+      }
+    `,
+    { Mutation: { changeMyPassword: () => true, deleteStaff: () => true } },
+  );
+
+  test("a new staff member only gets a password-change token", async () => {
+    await recordAdminSetPassword(staff.id);
+    expect(credential.mustChangePassword).toBe(true);
+
+    const { accessToken, passwordChangeRequired } = await issueStaffTokens(staff);
+    expect(passwordChangeRequired).toBe(true);
+
+    const context = { user: staff, token: verifyAccessToken(accessToken) };
+    await expect(
+      restrictedResolvers.Mutation.deleteStaff({}, {}, context),
+    ).rejects.toThrow("Password change required");
+    await expect(
+      restrictedResolvers.Mutation.changeMyPassword({}, {}, context),
+    ).resolves.toBe(true);
+  });
+
+  test("an admin reset forces a change, which then lifts the restriction", async () => {
+    await issueStaffTokens(staff);
+    await recordAdminSetPassword(staff.id, "previous-hash");
+    expect(credential).toEqual(
+      expect.objectContaining({
+        mustChangePassword: true,
+        previousHashes: ["previous-hash"],
+      }),
+    );
+    // the reset ends the holder's sessions
+    expect(getRedis().store.has(`staff-sessions:${staff.id}`)).toBe(false);
+
+    const result = await changeMyPasswordService(
+      staff.id,
+      OLD_PASSWORD,
+      NEW_PASSWORD,
+    );
+
+    expect(credential.mustChangePassword).toBe(false);
+    expect(result.passwordChangeRequired).toBe(false);
+    expect(verifyAccessToken(result.accessToken).scope).toBeUndefined();
+  });
+});
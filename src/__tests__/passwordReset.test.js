@@ -0,0 +1,129 @@
+// src/__tests__/passwordReset.test.js
+import bcrypt from "bcryptjs";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { registerOtpChannel, useOtpChannel } from "../services/otpDelivery.js";
+import {
+  requestStaffPasswordResetService,
+  resetStaffPasswordService,
+} from "../services/passwordResetService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn(), update: jest.fn() },
+    staffCredential: { findUnique: jest.fn(), upsert: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/tokenService.js", () => ({
+  revokeAllStaffSessions: jest.fn(),
+}));
+
+jest.mock("../services/logService.js", () => ({
+  logAuthEvent: jest.fn(),
+}));
+
+const staff = { id: "staff-1", email: "staff@test.com", isActive: true };
+
+let sent;
+
+beforeAll(() => {
+  registerOtpChannel("test", async (payload) => sent.push(payload));
+  useOtpChannel("test");
+});
+
+beforeEach(() => {
+  sent = [];
+  getRedis().reset();
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.staff.update.mockResolvedValue(staff);
+});
+
+describe("Staff password reset", () => {
+  test("sends an OTP and stores only its hash", async () => {
+    await requestStaffPasswordResetService(" Staff@Test.com ");
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe("staff@test.com");
+
+    const record = getRedis().store.get("password-reset:staff@test.com");
+    expect(record.otpHash).not.toBe(sent[0].otp);
+    expect(await bcrypt.compare(sent[0].otp, record.otpHash)).toBe(true);
+  });
+
+  test("unknown email sends nothing", async () => {
+    prisma.staff.findUnique.mockResolvedValue(null);
+
+    await requestStaffPasswordResetService("nobody@test.com");
+
+    expect(sent).toHaveLength(0);
+  });
+
+  test("valid OTP resets the password once", async () => {
+    await requestStaffPasswordResetService("staff@test.com");
+    const { otp } = sent[0];
+
+    await resetStaffPasswordService("staff@test.com", otp, "N3w-Password!");
+
+    const { data } = prisma.staff.update.mock.calls.at(-1)[0];
+    expect(await bcrypt.compare("N3w-Password!", data.password)).toBe(true);
+    expect(prisma.staffCredential.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        update: expect.objectContaining({ mustChangePassword: false }),
+      }),
+    );
+
+    await expect(
+      resetStaffPasswordService("staff@test.com", otp, "N3w-Password?"),
+    ).rejects.toThrow("Invalid or expired OTP");
+  });
+
+  test("rejects a password that breaks the policy", async () => {
+    await requestStaffPasswordResetService("staff@test.com");
+
+    await expect(
+      resetStaffPasswordService("staff@test.com", sent[0].otp, "short"),
+    ).rejects.toThrow("Password must contain");
+  });
+
+  test("locks the OTP after too many wrong attempts", async () => {
+    await requestStaffPasswordResetService("staff@test.com");
+    const { otp } = sent[0];
+    const wrong = otp === "111111" ? "222222" : "111111";
+
+    for (let i = 0; i < 5; i++) {
+      await expect(
+        resetStaffPasswordService("staff@test.com", wrong, "N3w-Password!"),
+      ).rejects.toThrow("Invalid or expired OTP");
+    }
+
+    await expect(
+      resetStaffPasswordService("staff@test.com", otp, "N3w-Password!"),
+    ).rejects.toThrow("Too many attempts");
+  });
+
+  test("parallel wrong guesses can't get past the attempt limit", async () => {
+    await requestStaffPasswordResetService("staff@test.com");
+    const { otp } = sent[0];
+    const wrong = otp === "111111" ? "222222" : "111111";
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 10 }, () =>
+        resetStaffPasswordService("staff@test.com", wrong, "N3w-Password!"),
+      ),
+    );
+
+    expect(
+      results.filter(({ reason }) => /Too many attempts/.test(reason.message)),
+    ).toHaveLength(5);
+    await expect(
+      resetStaffPasswordService("staff@test.com", otp, "N3w-Password!"),
+    ).rejects.toThrow("Invalid or expired OTP");
+  });
+});
@@ -0,0 +1,97 @@
+// src/__tests__/permissionCache.test.js
+import prisma from "../config/prisma.js";
+import {
+  getEffectivePermissions,
+  invalidateStaffPermissions,
+  invalidateRolePermissions,
+  invalidateAllPermissions,
+} from "../services/permissionService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn(), findMany: jest.fn() },
+    module: { findMany: jest.fn() },
+    role: { findUnique: jest.fn(), findMany: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+  },
+}));
+
+const staff = { id: "staff-1", roleId: "role-1", role: { slug: "support" } };
+const rolesModule = { id: "m-1", name: "Roles", slug: "roles" };
+
+const grant = (name) => ({
+  permission: { name, modules: [{ module: rolesModule }] },
+});
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.staff.findMany.mockResolvedValue([{ id: staff.id }]);
+  prisma.role.findUnique.mockResolvedValue({ id: "role-1", slug: "support" });
+  prisma.role.findMany.mockResolvedValue([]);
+  prisma.rolePermission.findMany.mockResolvedValue([grant("roles.read")]);
+  prisma.staffPermission.findMany.mockResolvedValue([grant("roles.update")]);
+});
+
+describe("Effective permission cache", () => {
+  test("merges role and staff grants per module", async () => {
+    const effective = await getEffectivePermissions(staff.id);
+
+    expect(effective.superAdmin).toBe(false);
+    expect(effective.permissions).toEqual(["roles.read", "roles.update"]);
+    expect(effective.modules).toEqual([
+      { ...rolesModule, permissions: ["roles.read", "roles.update"] },
+    ]);
+  });
+
+  test("serves repeat lookups from the cache", async () => {
+    await getEffectivePermissions(staff.id);
+    await getEffectivePermissions(staff.id);
+
+    expect(prisma.rolePermission.findMany).toHaveBeenCalledTimes(1);
+  });
+
+  test("staff invalidation reloads only that staff member", async () => {
+    await getEffectivePermissions(staff.id);
+    prisma.staffPermission.findMany.mockResolvedValue([]);
+
+    await invalidateStaffPermissions(staff.id);
+
+    expect((await getEffectivePermissions(staff.id)).permissions).toEqual([
+      "roles.read",
+    ]);
+  });
+
+  test("role invalidation reloads every staff member with the role", async () => {
+    await getEffectivePermissions(staff.id);
+    prisma.rolePermission.findMany.mockResolvedValue([]);
+
+    await invalidateRolePermissions(staff.roleId);
+
+    expect((await getEffectivePermissions(staff.id)).permissions).toEqual([
+      "roles.update",
+    ]);
+  });
+
+  test("super admins get CRUD on every active module", async () => {
+    prisma.staff.findUnique.mockResolvedValue({
+      ...staff,
+      role: { slug: "super-admin" },
+    });
+    prisma.role.findUnique.mockResolvedValue({ id: "role-1", slug: "super-admin" });
+    prisma.module.findMany.mockResolvedValue([rolesModule]);
+
+    const effective = await getEffectivePermissions(staff.id);
+
+    expect(effective.superAdmin).toBe(true);
+    expect(effective.permissions).toEqual([
+      "roles.create",
+      "roles.read",
+      "roles.update",
+      "roles.delete",
+    ]);
+  });
+});
@@ -0,0 +1,181 @@
+// src/__tests__/permissionCatalog.test.js
+import { gql } from "graphql-tag";
+import prisma from "../config/prisma.js";
+import {
+  buildPermissionCatalog,
+  PERMISSION_CATALOG,
+} from "../graphql/permissionCatalog.js";
+import {
+  detectPermissionDrift,
+  syncPermissionCatalog,
+} from "../services/permissionCatalogService.js";
+import { useLogSinks } from "../services/logService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    module: { findMany: jest.fn() },
+    permission: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    modulePermission: { findFirst: jest.fn(), create: jest.fn() },
+    rolePermission: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    staffPermission: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+const catalogNames = PERMISSION_CATALOG.map((entry) => entry.name);
+
+let stored;
+
+beforeEach(() => {
+  useLogSinks([]);
+  jest.clearAllMocks();
+
+  // everything in the catalogue except roles.update, plus one leftover
+  stored = [
+    ...catalogNames
+      .filter((name) => name !== "roles.update")
+      .map((name) => ({ id: `perm-${name}`, name, isDeleted: false })),
+    { id: "perm-roles.edit", name: "roles.edit", isDeleted: false },
+  ];
+
+  prisma.module.findMany.mockResolvedValue([
+    { id: "m-roles", slug: "roles" },
+    { id: "m-staff", slug: "staff" },
+  ]);
+  prisma.permission.findUnique.mockImplementation(async ({ where }) =>
+    stored.find((perm) => perm.name === where.name) ?? null,
+  );
+  prisma.permission.findMany.mockImplementation(async () =>
+    stored.filter((perm) => !perm.isDeleted),
+  );
+  prisma.permission.create.mockImplementation(async ({ data }) => {
+    const permission = { id: `perm-${data.name}`, isDeleted: false, ...data };
+    stored.push(permission);
+    return permission;
+  });
+  prisma.permission.update.mockImplementation(async ({ where, data }) => ({
+    ...stored.find((perm) => perm.id === where.id),
+    ...data,
+  }));
+  prisma.modulePermission.findFirst.mockResolvedValue({ id: "link" });
+  for (const model of [prisma.rolePermission, prisma.staffPermission]) {
+    model.findMany.mockResolvedValue([]);
+    model.findFirst.mockResolvedValue(null);
+  }
+});
+
+describe("Permission catalogue", () => {
+  test("is built from the @requiresPermission directives", () => {
+    const catalog = buildPermissionCatalog(gql`
+      type Query {
+        roles: [String] @requiresPermission(name: "roles.read")
+        roleTree: [String] @requiresPermission(name: "roles.read")
+        me: String @authenticated
+      }
+    `);
+
+    expect(catalog).toEqual([
+      {
+        name: "roles.read",
+        module: "roles",
+        action: "read",
+        operations: ["Query.roles", "Query.roleTree"],
+        fields: [],
+      },
+    ]);
+  });
+
+  test("uses one verb per action across the schema", () => {
+    expect(catalogNames).toEqual(
+      expect.arrayContaining(["roles.update", "staff.update"]),
+    );
+    expect(catalogNames.filter((name) => name.endsWith(".edit"))).toEqual([]);
+  });
+
+  test("detects missing and unused permissions", async () => {
+    await expect(detectPermissionDrift()).resolves.toEqual({
+      missing: ["roles.update"],
+      unused: ["roles.edit"],
+    });
+  });
+
+  test("sync creates missing rows and links them to their module", async () => {
+    prisma.modulePermission.findFirst.mockImplementation(async ({ where }) =>
+      where.permissionId === "perm-roles.update" ? null : { id: "link" },
+    );
+
+    const result = await syncPermissionCatalog();
+
+    expect(result.created).toEqual(["roles.update"]);
+    expect(prisma.permission.create).toHaveBeenCalledWith({
+      data: { name: "roles.update", type: "SYSTEM" },
+    });
+    expect(prisma.modulePermission.create).toHaveBeenCalledWith({
+      data: { moduleId: "m-roles", permissionId: "perm-roles.update" },
+    });
+    expect(result.linked).toEqual(["roles.update"]);
+    expect(result.missingModules).toContain("audit");
+    expect(result.missingModules).not.toContain("roles");
+  });
+
+  test("sync restores soft-deleted permissions instead of duplicating them", async () => {
+    stored.push({ id: "perm-roles.update", name: "roles.update", isDeleted: true });
+
+    const result = await syncPermissionCatalog();
+
+    expect(result.restored).toEqual(["roles.update"]);
+    expect(prisma.permission.create).not.toHaveBeenCalled();
+    expect(prisma.permission.update).toHaveBeenCalledWith({
+      where: { id: "perm-roles.update" },
+      data: { isDeleted: false },
+    });
+  });
+
+  test("sync moves grants of renamed permissions to the new name", async () => {
+    prisma.rolePermission.findMany.mockResolvedValue([
+      { id: "rp-1", roleId: "role-1", permissionId: "perm-roles.edit" },
+      { id: "rp-2", roleId: "role-2", permissionId: "perm-roles.edit" },
+    ]);
+    // role-2 already holds roles.update
+    prisma.rolePermission.findFirst.mockImplementation(async ({ where }) =>
+      where.roleId === "role-2" ? { id: "rp-3" } : null,
+    );
+    prisma.staffPermission.findMany.mockResolvedValue([
+      { id: "sp-1", staffId: "staff-1", permissionId: "perm-roles.edit" },
+    ]);
+
+    const result = await syncPermissionCatalog();
+
+    expect(result.moved).toEqual(["roles.edit -> roles.update"]);
+    expect(prisma.rolePermission.update).toHaveBeenCalledWith({
+      where: { id: "rp-1" },
+      data: { permissionId: "perm-roles.update" },
+    });
+    expect(prisma.rolePermission.delete).toHaveBeenCalledWith({
+      where: { id: "rp-2" },
+    });
+    expect(prisma.staffPermission.update).toHaveBeenCalledWith({
+      where: { id: "sp-1" },
+      data: { permissionId: "perm-roles.update" },
+    });
+    expect(prisma.permission.update).toHaveBeenCalledWith({
+      where: { id: "perm-roles.edit" },
+      data: { isDeleted: true },
+    });
+  });
+});
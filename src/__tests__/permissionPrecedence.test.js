@@ -0,0 +1,86 @@
+// src/__tests__/permissionPrecedence.test.js
+import prisma from "../config/prisma.js";
+import {
+  checkPermission,
+  getEffectivePermissions,
+  invalidateAllPermissions,
+  resolveGrants,
+} from "../services/permissionService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    role: { findUnique: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+  },
+}));
+
+const withdrawals = { id: "m-1", name: "Withdrawals", slug: "withdrawals" };
+const staff = { id: "staff-1", roleId: "finance", role: { slug: "finance" } };
+
+const grant = (name, effect = "ALLOW") => ({
+  effect,
+  permission: { name, modules: [{ module: withdrawals }] },
+});
+
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.role.findUnique.mockResolvedValue({ id: "finance", slug: "finance" });
+  prisma.rolePermission.findMany.mockResolvedValue([
+    grant("withdrawals.read"),
+    grant("withdrawals.approve"),
+  ]);
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+});
+
+describe("Grant precedence", () => {
+  const names = ({ allowed, denied }) => ({
+    allowed: allowed.map((perm) => perm.name),
+    denied,
+  });
+
+  test("staff deny > staff allow > role deny > role allow", () => {
+    expect(
+      names(
+        resolveGrants({
+          role: [grant("a"), grant("b", "DENY"), grant("c", "DENY"), grant("d")],
+          staff: [grant("a", "DENY"), grant("b"), grant("d", "DENY"), grant("d")],
+        }),
+      ),
+    ).toEqual({ allowed: ["b"], denied: ["a", "c", "d"] });
+  });
+
+  test("a role deny anywhere up the chain beats a role allow", () => {
+    expect(
+      names(
+        resolveGrants({
+          role: [grant("tickets.update"), grant("tickets.update", "DENY")],
+        }),
+      ),
+    ).toEqual({ allowed: [], denied: ["tickets.update"] });
+  });
+
+  test("a staff deny removes one permission from the role for that person", async () => {
+    prisma.staffPermission.findMany.mockResolvedValue([
+      grant("withdrawals.approve", "DENY"),
+    ]);
+
+    const effective = await getEffectivePermissions(staff.id);
+
+    expect(effective.permissions).toEqual(["withdrawals.read"]);
+    expect(effective.denied).toEqual(["withdrawals.approve"]);
+    expect(effective.modules).toEqual([
+      { ...withdrawals, permissions: ["withdrawals.read"] },
+    ]);
+
+    await expect(
+      checkPermission({ user: staff }, "withdrawals.approve"),
+    ).rejects.toThrow("Unauthorized: Permission denied");
+    await expect(
+      checkPermission({ user: staff }, "withdrawals.read"),
+    ).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+// src/__tests__/roleHierarchy.test.js
+import prisma from "../config/prisma.js";
+import {
+  assertValidParent,
+  getRoleChain,
+  getRoleTree,
+} from "../services/roleHierarchyService.js";
+import {
+  checkPermission,
+  getEffectivePermissions,
+  invalidateAllPermissions,
+  invalidateRolePermissions,
+} from "../services/permissionService.js";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn(), findMany: jest.fn() },
+    role: { findUnique: jest.fn(), findMany: jest.fn() },
+    module: { findMany: jest.fn() },
+    rolePermission: { findMany: jest.fn() },
+    staffPermission: { findMany: jest.fn() },
+  },
+}));
+
+const tickets = { id: "m-1", name: "Tickets", slug: "tickets" };
+const perm = (name) => ({ id: `perm-${name}`, name, modules: [{ module: tickets }] });
+
+let roles;
+let rolePermissions;
+
+// support <- support-lead <- support-manager
+beforeEach(async () => {
+  await invalidateAllPermissions();
+  jest.clearAllMocks();
+
+  roles = {
+    support: { id: "support", name: "Support", slug: "support", parentId: null },
+    lead: { id: "lead", name: "Support Lead", slug: "support-lead", parentId: "support" },
+    manager: { id: "manager", name: "Support Manager", slug: "support-manager", parentId: "lead" },
+  };
+  rolePermissions = [
+    { roleId: "support", permission: perm("tickets.read") },
+    { roleId: "lead", permission: perm("tickets.update") },
+  ];
+
+  prisma.role.findUnique.mockImplementation(async ({ where }) =>
+    roles[where.id] ? { ...roles[where.id] } : null,
+  );
+  prisma.role.findMany.mockImplementation(async ({ where } = {}) => {
+    const all = Object.values(roles);
+    if (!where) {
+      return all.map((role) => ({
+        ...role,
+        permissions: rolePermissions.filter((rp) => rp.roleId === role.id),
+      }));
+    }
+    return all.filter((role) => where.parentId.in.includes(role.parentId));
+  });
+  prisma.rolePermission.findMany.mockImplementation(async ({ where }) =>
+    rolePermissions.filter((rp) => where.roleId.in.includes(rp.roleId)),
+  );
+  prisma.staffPermission.findMany.mockResolvedValue([]);
+  prisma.staff.findUnique.mockImplementation(async ({ where }) => ({
+    id: where.id,
+    roleId: where.id === "staff-lead" ? "lead" : "support",
+    role: { slug: "support" },
+  }));
+});
+
+describe("Role hierarchy", () => {
+  test("the chain runs from the role up to the root", async () => {
+    const chain = await getRoleChain("manager");
+    expect(chain.map((role) => role.id)).toEqual(["manager", "lead", "support"]);
+  });
+
+  test("an inactive role cuts off itself and its ancestors", async () => {
+    roles.lead.isActive = false;
+
+    const chain = await getRoleChain("manager");
+    expect(chain.map((role) => role.id)).toEqual(["manager"]);
+  });
+
+  test("child roles inherit their parents' permissions", async () => {
+    const lead = await getEffectivePermissions("staff-lead");
+    const support = await getEffectivePermissions("staff-support");
+
+    expect(lead.permissions).toEqual(["tickets.read", "tickets.update"]);
+    expect(support.permissions).toEqual(["tickets.read"]);
+    await expect(
+      checkPermission({ user: { id: "staff-lead" } }, "tickets.read"),
+    ).resolves.toBe(true);
+  });
+
+  test("inheriting from super-admin makes a super admin", async () => {
+    roles.support.slug = "super-admin";
+    prisma.module.findMany.mockResolvedValue([tickets]);
+
+    expect((await getEffectivePermissions("staff-lead")).superAdmin).toBe(true);
+  });
+
+  test("rejects a parent that would create a cycle", async () => {
+    await expect(assertValidParent("support", "manager")).rejects.toThrow(
+      "Role hierarchy cycle: the parent inherits from this role",
+    );
+    await expect(assertValidParent("lead", "lead")).rejects.toThrow(
+      "A role cannot be its own parent",
+    );
+    await expect(assertValidParent("lead", "missing")).rejects.toThrow(
+      "Parent role not found",
+    );
+    await expect(assertValidParent("support", "other")).rejects.toThrow(
+      "Parent role not found",
+    );
+
+    roles.other = { id: "other", parentId: null };
+    await expect(assertValidParent("manager", "other")).resolves.toBeUndefined();
+  });
+
+  test("changing a role reloads staff of every descendant role", async () => {
+    prisma.staff.findMany.mockResolvedValue([]);
+
+    await invalidateRolePermissions("support");
+
+    expect(prisma.staff.findMany).toHaveBeenCalledWith({
+      where: { roleId: { in: ["support", "lead", "manager"] } },
+      select: { id: true },
+    });
+  });
+
+  test("roleTree nests children under their parent", async () => {
+    const tree = await getRoleTree();
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0]).toEqual(
+      expect.objectContaining({
+        id: "support",
+        permissions: [perm("tickets.read")],
+      }),
+    );
+    expect(tree[0].children[0].id).toBe("lead");
+    expect(tree[0].children[0].children[0].id).toBe("manager");
+  });
+});
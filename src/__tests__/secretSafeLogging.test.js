@@ -0,0 +1,175 @@
+// src/__tests__/secretSafeLogging.test.js
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { ApolloServer } from "@apollo/server";
+import typeDefs from "../graphql/typeDefs.js";
+import { resolvers } from "../graphql/resolvers.js";
+import { mutationAuditPlugin } from "../graphql/plugins/mutationAudit.js";
+import { flushLogs, useLogSinks } from "../services/logService.js";
+import { installConsoleRedaction, redact } from "../utils/redact.js";
+
+process.env.JWT_SECRET = "access-secret-do-not-print";
+process.env.JWT_REFRESH_SECRET = "refresh-secret-do-not-print";
+
+const PASSWORD = "Corr3ct-Horse!";
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+jest.mock("@prisma/client", () => {
+  const staff = {
+    id: "staff-1",
+    email: "staff@test.com",
+    roleId: "role-1",
+    isActive: true,
+    role: { id: "role-1", slug: "support", requireTotp: false },
+  };
+  const models = {
+    staff: { findUnique: async () => ({ ...staff, password: global.__hash }) },
+  };
+  const prisma = new Proxy(models, {
+    get: (target, model) =>
+      target[model] || new Proxy({}, { get: () => async () => null }),
+  });
+  return { PrismaClient: function PrismaClient() { return prisma; } };
+});
+
+jest.mock(
+  "graphql-upload/GraphQLUpload.mjs",
+  () => {
+    const { GraphQLScalarType } = require("graphql");
+    return new GraphQLScalarType({ name: "Upload" });
+  },
+  { virtual: true },
+);
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+let output;
+
+// stand-in for stdout/stderr: everything printed ends up in `output`
+const captureConsole = () => {
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    console[method] = (...args) => output.push(args.join(" "));
+  }
+  installConsoleRedaction();
+};
+
+const server = new ApolloServer({
+  typeDefs,
+  resolvers,
+  plugins: [mutationAuditPlugin()],
+});
+
+const run = async (query, variables) => {
+  const { body } = await server.executeOperation(
+    { query, variables },
+    {
+      contextValue: {
+        req: { ip: "10.0.0.1", headers: { "user-agent": "jest" } },
+        prisma: new (jest.requireMock("@prisma/client").PrismaClient)(),
+      },
+    },
+  );
+  return body.singleResult;
+};
+
+const LOGIN = `
+  mutation Login($email: String!, $password: String!) {
+    loginStaff(email: $email, password: $password) {
+      accessToken
+      refreshToken
+    }
+  }
+`;
+
+const REFRESH = `
+  mutation Refresh($refreshToken: String!) {
+    refreshStaffToken(refreshToken: $refreshToken) {
+      accessToken
+      refreshToken
+    }
+  }
+`;
+
+beforeAll(() => {
+  global.__hash = PASSWORD_HASH;
+  output = [];
+  captureConsole();
+  useLogSinks(["console", "mongo"]);
+});
+
+describe("Secret-safe logging", () => {
+  test("a login/refresh cycle prints no secrets", async () => {
+    const failed = await run(LOGIN, {
+      email: "staff@test.com",
+      password: "Wrong-Guess-1",
+    });
+    expect(failed.errors[0].message).toBe("Invalid credentials");
+
+    const login = await run(LOGIN, { email: "staff@test.com", password: PASSWORD });
+    expect(login.errors).toBeUndefined();
+
+    const { accessToken, refreshToken } = login.data.loginStaff;
+    const refresh = await run(REFRESH, { refreshToken });
+    expect(refresh.errors).toBeUndefined();
+
+    // and someone adds a careless debug line later
+    console.log("debug", { password: PASSWORD }, `token=${accessToken}`);
+
+    await new Promise((resolve) => setImmediate(resolve));
+    await flushLogs();
+
+    const printed = output.join("\n");
+    expect(printed).toContain('"operation":"loginStaff"');
+    expect(printed).toContain('"operation":"refreshStaffToken"');
+
+    const secrets = [
+      PASSWORD,
+      "Wrong-Guess-1",
+      PASSWORD_HASH,
+      process.env.JWT_SECRET,
+      process.env.JWT_REFRESH_SECRET,
+      accessToken,
+      refreshToken,
+      refresh.data.refreshStaffToken.accessToken,
+      refresh.data.refreshStaffToken.refreshToken,
+    ];
+
+    for (const secret of secrets) {
+      expect(printed).not.toContain(secret);
+    }
+  });
+});
+
+describe("redact", () => {
+  test("masks sensitive keys at any depth", () => {
+    expect(
+      redact({ email: "a@b.c", input: { newPassword: "x", otp: "123456" } }),
+    ).toEqual({
+      email: "a@b.c",
+      input: { newPassword: "[REDACTED]", otp: "[REDACTED]" },
+    });
+  });
+
+  test("masks JWT-shaped strings, bcrypt hashes and URI credentials", () => {
+    const token = jwt.sign({ id: "staff-1" }, "anything");
+
+    expect(redact(`Bearer ${token}`)).toBe("Bearer [REDACTED]");
+    expect(redact(`stored ${PASSWORD_HASH}`)).toBe("stored [REDACTED]");
+    expect(redact("mongodb://admin:hunter22@db:27017/logs")).toBe(
+      "mongodb://admin:[REDACTED]@db:27017/logs",
+    );
+  });
+
+  test("masks configured secret values wherever they appear", () => {
+    expect(redact({ note: `key is ${process.env.JWT_SECRET}` })).toEqual({
+      note: "key is [REDACTED]",
+    });
+  });
+});
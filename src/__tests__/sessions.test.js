@@ -0,0 +1,223 @@
+// src/__tests__/sessions.test.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { generateChallengeToken, verifyAccessToken } from "../config/jwt.js";
+import {
+  authenticateAccessToken,
+  issueStaffTokens,
+  listStaffSessions,
+  logoutAllSessionsService,
+  logoutStaffService,
+  refreshStaffTokenService,
+  revokeAllStaffSessions,
+  revokeOwnSessionService,
+} from "../services/tokenService.js";
+import {
+  flushLogs,
+  registerLogSink,
+  useLogSinks,
+} from "../services/logService.js";
+
+process.env.JWT_SECRET = "sessions-test-secret";
+process.env.JWT_REFRESH_SECRET = "sessions-test-refresh-secret";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    staffCredential: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/auditChainService.js", () => ({
+  appendAuditRecord: jest.fn(async () => {}),
+}));
+
+const staff = {
+  id: "staff-1",
+  roleId: "role-1",
+  isActive: true,
+  role: { slug: "support" },
+};
+
+let written;
+
+beforeAll(() => {
+  registerLogSink("memory", { write: async (entry) => written.push(entry) });
+});
+
+beforeEach(async () => {
+  await flushLogs();
+  jest.clearAllMocks();
+  getRedis().reset();
+  written = [];
+  useLogSinks(["memory"]);
+
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.staffCredential.findUnique.mockResolvedValue(null);
+});
+
+const loggedTypes = async () => {
+  await flushLogs();
+  return written.map((entry) => entry.type);
+};
+
+describe("Refresh token rotation", () => {
+  test("each refresh hands out a new pair in the same session", async () => {
+    const first = await issueStaffTokens(staff, { ip: "10.0.0.1" });
+
+    const second = await refreshStaffTokenService(first.refreshToken);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.user).toEqual(staff);
+
+    const third = await refreshStaffTokenService(second.refreshToken);
+    expect(third.accessToken).toEqual(expect.any(String));
+  });
+
+  test("reusing a rotated refresh token revokes the whole session", async () => {
+    const first = await issueStaffTokens(staff);
+    const second = await refreshStaffTokenService(first.refreshToken);
+
+    await expect(refreshStaffTokenService(first.refreshToken)).rejects.toThrow(
+      "Refresh token reuse detected",
+    );
+
+    // the legitimate holder is logged out too
+    await expect(refreshStaffTokenService(second.refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+    expect(await loggedTypes()).toEqual(["REFRESH_TOKEN_REUSE", "REFRESH_FAILED"]);
+  });
+
+  test("tampered tokens and deactivated staff can't refresh", async () => {
+    const { refreshToken } = await issueStaffTokens(staff);
+
+    await expect(refreshStaffTokenService(`${refreshToken}x`)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+
+    prisma.staff.findUnique.mockResolvedValue({ ...staff, isActive: false });
+    await expect(refreshStaffTokenService(refreshToken)).rejects.toThrow(
+      "Staff not found or inactive",
+    );
+    expect([...getRedis().store.keys()]).not.toContainEqual(
+      expect.stringMatching(/^staff-session:/),
+    );
+  });
+});
+
+describe("Logout", () => {
+  test("a logged-out access token is rejected until it expires", async () => {
+    const { accessToken } = await issueStaffTokens(staff);
+    const decoded = await authenticateAccessToken(accessToken);
+    expect(decoded).toEqual(expect.objectContaining({ id: staff.id }));
+
+    await logoutStaffService(decoded);
+
+    // still validly signed, but denylisted for its remaining lifetime
+    expect(verifyAccessToken(accessToken).jti).toBe(decoded.jti);
+    await expect(authenticateAccessToken(accessToken)).resolves.toBeNull();
+    expect(getRedis().store.has(`access-denylist:${decoded.jti}`)).toBe(true);
+    expect(await loggedTypes()).toEqual(["LOGOUT"]);
+  });
+
+  test("logout ends the session, so its refresh token is dead too", async () => {
+    const first = await issueStaffTokens(staff);
+    const second = await issueStaffTokens(staff);
+
+    await logoutStaffService(await authenticateAccessToken(first.accessToken));
+
+    await expect(refreshStaffTokenService(first.refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+    // other logins are untouched
+    await expect(authenticateAccessToken(second.accessToken)).resolves.toEqual(
+      expect.objectContaining({ id: staff.id }),
+    );
+  });
+
+  test("garbage and non-staff tokens don't authenticate", async () => {
+    await expect(authenticateAccessToken("not-a-token")).resolves.toBeNull();
+    await expect(authenticateAccessToken(undefined)).resolves.toBeNull();
+    // a 2FA challenge is signed with the same secret but isn't an access token
+    await expect(
+      authenticateAccessToken(generateChallengeToken(staff, "verify")),
+    ).resolves.toBeNull();
+  });
+});
+
+describe("Session registry", () => {
+  const login = async (userAgent) => {
+    const tokens = await issueStaffTokens(staff, { ip: "10.0.0.1", userAgent });
+    return { ...tokens, sid: verifyAccessToken(tokens.accessToken).sid };
+  };
+
+  test("mySessions lists every login and marks the current one", async () => {
+    const laptop = await login("Mozilla/5.0 (Macintosh)");
+    const phone = await login("Mozilla/5.0 (iPhone) Mobile");
+
+    const sessions = await listStaffSessions(staff.id, phone.sid);
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find((session) => session.current)).toEqual(
+      expect.objectContaining({ id: phone.sid, device: "Mobile", ip: "10.0.0.1" }),
+    );
+    expect(sessions.find((session) => !session.current)).toEqual(
+      expect.objectContaining({ id: laptop.sid, device: "Desktop" }),
+    );
+  });
+
+  test("expired sessions drop out of the list", async () => {
+    const { sid } = await login();
+    getRedis().store.delete(`staff-session:${sid}`); // TTL ran out
+
+    await expect(listStaffSessions(staff.id)).resolves.toEqual([]);
+    await expect(getRedis().smembers(`staff-sessions:${staff.id}`)).resolves.toEqual([]);
+  });
+
+  test("revokeSession ends one of your own sessions only", async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await expect(revokeOwnSessionService("staff-2", laptop.sid)).rejects.toThrow(
+      "Session not found",
+    );
+
+    await revokeOwnSessionService(staff.id, laptop.sid);
+
+    await expect(authenticateAccessToken(laptop.accessToken)).resolves.toBeNull();
+    await expect(refreshStaffTokenService(laptop.refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+    await expect(authenticateAccessToken(phone.accessToken)).resolves.not.toBeNull();
+  });
+
+  test("logoutAllSessions ends every session of the caller", async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await logoutAllSessionsService(await authenticateAccessToken(phone.accessToken));
+
+    for (const { accessToken } of [laptop, phone]) {
+      await expect(authenticateAccessToken(accessToken)).resolves.toBeNull();
+    }
+    await expect(listStaffSessions(staff.id)).resolves.toEqual([]);
+    expect(await loggedTypes()).toEqual(["LOGOUT_ALL"]);
+  });
+
+  test("revokeStaffSessions logs someone else out everywhere", async () => {
+    const { accessToken, refreshToken } = await login();
+
+    await expect(revokeAllStaffSessions(staff.id)).resolves.toBe(1);
+
+    await expect(authenticateAccessToken(accessToken)).resolves.toBeNull();
+    await expect(refreshStaffTokenService(refreshToken)).rejects.toThrow(
+      "Invalid or expired refresh token",
+    );
+  });
+});
@@ -0,0 +1,163 @@
+// src/__tests__/totp.test.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { generateChallengeToken } from "../config/jwt.js";
+import { generateTotp, currentStep } from "../utils/totp.js";
+import { recordLoginFailure } from "../services/loginThrottleService.js";
+import {
+  confirmTotpService,
+  enrollTotpService,
+  verifyLoginTotpService,
+} from "../services/totpService.js";
+
+process.env.JWT_SECRET = "totp-test-secret";
+
+jest.mock("../config/prisma.js", () => ({
+  __esModule: true,
+  default: {
+    staff: { findUnique: jest.fn() },
+    staffTotp: { findUnique: jest.fn(), upsert: jest.fn(), update: jest.fn() },
+  },
+}));
+
+jest.mock("../config/redis.js", () => {
+  const redis = jest.requireActual("./helpers/fakeRedis.js").createFakeRedis();
+  return { getRedis: () => redis };
+});
+
+jest.mock("../services/tokenService.js", () => ({
+  issueStaffTokens: jest.fn(async () => ({
+    accessToken: "access",
+    refreshToken: "refresh",
+  })),
+}));
+
+jest.mock("../services/logService.js", () => ({
+  logAuthEvent: jest.fn(),
+}));
+
+const staff = {
+  id: "staff-1",
+  email: "staff@test.com",
+  isActive: true,
+  role: { slug: "support" },
+};
+const meta = { ip: "10.0.0.1" };
+
+let totp;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getRedis().reset();
+  totp = null;
+
+  prisma.staff.findUnique.mockResolvedValue(staff);
+  prisma.staffTotp.findUnique.mockImplementation(async () => totp);
+  prisma.staffTotp.upsert.mockImplementation(async ({ create }) => {
+    totp = { lastUsedStep: null, recoveryCodes: [], enabled: false, ...create };
+    return totp;
+  });
+  prisma.staffTotp.update.mockImplementation(async ({ data }) => {
+    Object.assign(totp, data);
+    return totp;
+  });
+});
+
+const enable = async () => {
+  const { secret } = await enrollTotpService(staff.id);
+  // previous step, so a login in this step isn't a replay
+  const { recoveryCodes } = await confirmTotpService(
+    staff.id,
+    generateTotp(secret, currentStep() - 1),
+  );
+  return { secret, recoveryCodes };
+};
+
+const challenge = () => generateChallengeToken(staff, "verify");
+
+describe("TOTP", () => {
+  test("enrollment is confirmed with a code and hands out hashed recovery codes", async () => {
+    const { secret } = await enrollTotpService(staff.id);
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+
+    await expect(confirmTotpService(staff.id, "000000")).rejects.toThrow(
+      "Invalid code",
+    );
+
+    const { recoveryCodes } = await confirmTotpService(
+      staff.id,
+      generateTotp(secret),
+    );
+    expect(recoveryCodes).toHaveLength(10);
+    expect(totp.enabled).toBe(true);
+    expect(totp.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+    await expect(enrollTotpService(staff.id)).rejects.toThrow(
+      "Two-factor authentication is already enabled",
+    );
+  });
+
+  test("a valid code logs in once; replays and reused recovery codes don't", async () => {
+    const { secret, recoveryCodes } = await enable();
+    const code = generateTotp(secret);
+
+    await expect(
+      verifyLoginTotpService(challenge(), code, meta),
+    ).resolves.toEqual(expect.objectContaining({ accessToken: "access" }));
+    await expect(verifyLoginTotpService(challenge(), code, meta)).rejects.toThrow(
+      "Invalid code",
+    );
+
+    await expect(
+      verifyLoginTotpService(challenge(), recoveryCodes[0], meta),
+    ).resolves.toEqual(expect.objectContaining({ user: staff }));
+    expect(totp.recoveryCodes).toHaveLength(9);
+    await expect(
+      verifyLoginTotpService(challenge(), recoveryCodes[0], meta),
+    ).rejects.toThrow("Invalid code");
+  });
+
+  test("a challenge allows five attempts and is single use", async () => {
+    const { secret } = await enable();
+    const token = challenge();
+
+    for (let i = 0; i < 5; i++) {
+      await expect(verifyLoginTotpService(token, "000000", meta)).rejects.toThrow(
+        /Invalid code|Too many failed attempts/,
+      );
+    }
+    await expect(
+      verifyLoginTotpService(token, generateTotp(secret), meta),
+    ).rejects.toThrow("Too many attempts. Log in again");
+  });
+
+  test("wrong codes count towards the login lockout across challenges", async () => {
+    await enable();
+    const failKey = `login-fail:email:${staff.email}`;
+
+    await expect(
+      verifyLoginTotpService(challenge(), "000000", meta),
+    ).rejects.toThrow("Invalid code");
+    expect(getRedis().store.get(failKey)).toEqual(
+      expect.objectContaining({ count: "1" }),
+    );
+
+    // past the free attempts a fresh challenge has to wait out the backoff
+    await recordLoginFailure(staff.email, meta.ip);
+    await recordLoginFailure(staff.email, meta.ip);
+    await expect(
+      verifyLoginTotpService(challenge(), "000000", meta),
+    ).rejects.toThrow(/^Too many failed attempts. Try again in \d+s$/);
+  });
+
+  test("a successful second factor clears the failure counter", async () => {
+    const { secret } = await enable();
+    await recordLoginFailure(staff.email, meta.ip);
+
+    await verifyLoginTotpService(challenge(), generateTotp(secret), meta);
+
+    expect(getRedis().store.has(`login-fail:email:${staff.email}`)).toBe(false);
+    // the IP counter is left to decay
+    expect(getRedis().store.has(`login-fail:ip:${meta.ip}`)).toBe(true);
+  });
+});
@@ -1,66 +1,105 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import {
+  getSigningKey,
+  getVerificationKey,
+  hasSigningKeys,
+} from "./jwtKeys.js";
+
+// signed with the active asymmetric key (kid in the header) when one is
+// configured, otherwise HS256 with JWT_SECRET
+const signAccessToken = (payload, expiresIn) => {
+  const key = getSigningKey();
+
+  if (key) {
+    return jwt.sign(payload, key.privateKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      expiresIn,
+    });
+  }
 
-// 🔐 ACCESS TOKEN
-export const generateAccessToken = (staff) => {
-  const payload = {
-    id: staff.id,
-    roleId: staff.roleId,
-    type: "staff",
-  };
-
-  console.log("🔐 [SIGN] Payload:", payload);
-  console.log("🔐 [SIGN] SECRET:", process.env.JWT_SECRET);
-
-  const token = jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "15m",
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    algorithm: "HS256",
+    expiresIn,
   });
-
-  console.log("🔐 [SIGN] TOKEN:", token);
-
-  return token;
 };
 
-// 🔐 REFRESH TOKEN
-export const generateRefreshToken = (staff) => {
+// 🔐 ACCESS TOKEN
+export const generateAccessToken = (staff, session = {}) =>
+  signAccessToken(
+    {
+      id: staff.id,
+      roleId: staff.roleId,
+      type: "staff",
+      jti: crypto.randomUUID(),
+      ...(session.sid && { sid: session.sid }),
+      ...(session.scope && { scope: session.scope }),
+    },
+    "15m",
+  );
+
+// 🕵️ IMPERSONATION TOKEN
+// an access token for the subject that also names the actor; it rides on the
+// actor's session (sid), so revoking that session ends the impersonation too
+export const IMPERSONATION_TTL_SECONDS = 10 * 60;
+
+export const generateImpersonationToken = (subject, actor, session = {}) =>
+  signAccessToken(
+    {
+      id: subject.id,
+      roleId: subject.roleId,
+      type: "staff",
+      jti: crypto.randomUUID(),
+      actorId: actor.id,
+      subjectId: subject.id,
+      ...(session.sid && { sid: session.sid }),
+    },
+    IMPERSONATION_TTL_SECONDS,
+  );
+
+// 🔁 REFRESH TOKEN
+// sid = token family (one per login), jti = this token in the family
+// only this service reads refresh tokens, so they stay on JWT_REFRESH_SECRET
+export const generateRefreshToken = (staff, session = {}) => {
   const payload = {
     id: staff.id,
     type: "staff",
+    ...(session.sid && { sid: session.sid }),
+    ...(session.jti && { jti: session.jti }),
   };
 
-  console.log("🔁 [REFRESH SIGN] Payload:", payload);
-  console.log("🔁 [REFRESH SIGN] SECRET:", process.env.JWT_REFRESH_SECRET);
-
-  const token = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: "7d",
   });
-
-  console.log("🔁 [REFRESH TOKEN]:", token);
-
-  return token;
 };
 
+// HS256 access tokens are only accepted before asymmetric keys are set up,
+// or while JWT_ACCEPT_HS256=true during the switch-over
+const acceptsLegacyAccessTokens = () =>
+  !hasSigningKeys() || process.env.JWT_ACCEPT_HS256 === "true";
+
 // 🔍 VERIFY ACCESS TOKEN
 export const verifyAccessToken = (token) => {
   try {
-    console.log("🔍 [VERIFY] Incoming Token:", token);
-    console.log("🔍 [VERIFY] SECRET:", process.env.JWT_SECRET);
+    const { header } = jwt.decode(token, { complete: true }) || {};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // same keys sign audit bundles (typ "audit-bundle+jwt")
+    if (header?.typ !== "JWT") throw new Error("Not an access token");
 
-    console.log("✅ [VERIFY SUCCESS] Decoded:", decoded);
+    if (header?.kid) {
+      const key = getVerificationKey(header.kid);
+      if (!key) throw new Error("Unknown key id");
 
-    return decoded;
-  } catch (err) {
-    console.log("❌ [VERIFY ERROR]:", err.message);
-
-    if (err.name === "TokenExpiredError") {
-      console.log("⚠️ Token expired at:", err.expiredAt);
+      return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
     }
 
-    if (err.name === "JsonWebTokenError") {
-      console.log("⚠️ Invalid token (signature mismatch likely)");
-    }
+    if (!acceptsLegacyAccessTokens()) throw new Error("Missing key id");
 
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+  } catch (err) {
     throw new Error("Invalid or expired access token");
   }
 };
@@ -68,16 +107,35 @@ export const verifyAccessToken = (token) => {
 // 🔍 VERIFY REFRESH TOKEN
 export const verifyRefreshToken = (token) => {
   try {
-    console.log("🔍 [REFRESH VERIFY] Token:", token);
-    console.log("🔍 [REFRESH VERIFY] SECRET:", process.env.JWT_REFRESH_SECRET);
+    return jwt.verify(token, process.env.JWT_REFRESH_SECRET, {
+      algorithms: ["HS256"],
+    });
+  } catch (err) {
+    throw new Error("Invalid or expired refresh token");
+  }
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+// 🛡️ 2FA CHALLENGE TOKEN (password ok, TOTP pending)
+export const generateChallengeToken = (staff, purpose) => {
+  return jwt.sign(
+    { id: staff.id, type: "totp-challenge", purpose, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" },
+  );
+};
 
-    console.log("✅ [REFRESH VERIFY SUCCESS]:", decoded);
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+
+    if (decoded.type !== "totp-challenge") {
+      throw new Error("Wrong token type");
+    }
 
     return decoded;
   } catch (err) {
-    console.log("❌ [REFRESH VERIFY ERROR]:", err.message);
-    throw new Error("Invalid or expired refresh token");
+    throw new Error("Invalid or expired challenge token");
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,106 @@
+// src/config/jwtKeys.js
+// Access tokens are signed with an asymmetric key so other services can verify
+// them from /.well-known/jwks.json without sharing a secret.
+//
+// JWT_KEYS_DIR holds one file per key, named after its kid:
+//   <kid>.pem      private key (RSA -> RS256, P-256 -> ES256), signs + verifies
+//   <kid>.pub.pem  public key only, verifies tokens from a retired key
+// JWT_ACTIVE_KID picks the signing key (default: last kid in sort order).
+//
+// Rotation: ship the new key to every instance, then switch JWT_ACTIVE_KID.
+// Keep the old file until its last token has expired.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { logger } from "../services/logService.js";
+
+const algorithmFor = (publicKey) => {
+  if (publicKey.asymmetricKeyType === "rsa") return "RS256";
+
+  if (
+    publicKey.asymmetricKeyType === "ec" &&
+    publicKey.asymmetricKeyDetails?.namedCurve === "prime256v1"
+  ) {
+    return "ES256";
+  }
+
+  throw new Error("Unsupported JWT key type (use RSA or EC P-256)");
+};
+
+const readKey = (dir, file) => {
+  const pem = fs.readFileSync(path.join(dir, file), "utf8");
+  const publicOnly = file.endsWith(".pub.pem");
+  const kid = file.replace(publicOnly ? /\.pub\.pem$/ : /\.pem$/, "");
+
+  const privateKey = publicOnly ? null : crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey || pem);
+
+  return { kid, alg: algorithmFor(publicKey), privateKey, publicKey };
+};
+
+let keyring = null;
+
+const loadKeyring = () => {
+  const dir = process.env.JWT_KEYS_DIR;
+  const keys = new Map();
+
+  if (dir) {
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith(".pem"))
+      .sort()
+      .forEach((file) => {
+        const key = readKey(dir, file);
+        if (keys.has(key.kid)) {
+          throw new Error(`Duplicate JWT key id: ${key.kid}`);
+        }
+        keys.set(key.kid, key);
+      });
+  }
+
+  const signingKids = [...keys.values()]
+    .filter((key) => key.privateKey)
+    .map((key) => key.kid);
+
+  const activeKid = process.env.JWT_ACTIVE_KID || signingKids.at(-1);
+
+  if (activeKid && !keys.get(activeKid)?.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" has no private key`);
+  }
+
+  if (!activeKid) {
+    logger.warn("JWT_HS256_FALLBACK", {
+      reason: "No signing keys in JWT_KEYS_DIR",
+    });
+  }
+
+  return { keys, activeKid };
+};
+
+const getKeyring = () => {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+};
+
+// null when no asymmetric key is configured
+export const getSigningKey = () => {
+  const { keys, activeKid } = getKeyring();
+  return activeKid ? keys.get(activeKid) : null;
+};
+
+export const getVerificationKey = (kid) => getKeyring().keys.get(kid) || null;
+
+export const hasSigningKeys = () => Boolean(getKeyring().activeKid);
+
+export const getJwks = () => ({
+  keys: [...getKeyring().keys.values()].map((key) => ({
+    ...key.publicKey.export({ format: "jwk" }),
+    kid: key.kid,
+    alg: key.alg,
+    use: "sig",
+  })),
+});
+
+// for tests and key reloads without a restart
+export const resetKeyring = () => {
+  keyring = null;
+};
@@ -41,4 +41,11 @@ export function getDb() {
     throw new Error("MongoDB not connected. Call connectMongo() first.");
   }
   return db;
-}
\ No newline at end of file
+}
+
+// for scripts that have to exit when they're done
+export async function closeMongo() {
+  if (client) await client.close();
+  client = undefined;
+  db = undefined;
+}
@@ -0,0 +1,15 @@
+// src/config/passwordPolicy.js
+const flag = (value, fallback) =>
+  value === undefined ? fallback : value === "true";
+
+const passwordPolicy = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+  // how many previous hashes a new password is checked against
+  historySize: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5),
+};
+
+export default passwordPolicy;
@@ -0,0 +1,27 @@
+// src/config/redis.js
+import Redis from "ioredis";
+import { logger } from "../services/logService.js";
+
+let client;
+
+export function getRedis() {
+  if (client) return client;
+
+  client = new Redis({
+    host: process.env.REDIS_HOST || "127.0.0.1",
+    port: Number(process.env.REDIS_PORT) || 6379,
+    username: process.env.REDIS_USERNAME,
+    password: process.env.REDIS_PASSWORD,
+    maxRetriesPerRequest: 2,
+  });
+
+  client.on("connect", () => {
+    logger.info("REDIS_CONNECTED");
+  });
+
+  client.on("error", (error) => {
+    logger.error("REDIS_ERROR", { error: error.message });
+  });
+
+  return client;
+}
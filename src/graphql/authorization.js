@@ -0,0 +1,199 @@
+// src/graphql/authorization.js
+// Every Query/Mutation field declares who may call it in typeDefs.js:
+//   @public                        no login needed
+//   @authenticated                 any logged-in staff
+//   @requiresPermission(name: "")  staff holding that permission
+// Fields with none of these are denied. @noImpersonation additionally refuses
+// impersonation tokens (password changes, deleting staff, ...).
+//
+// A password-change token (mustChangePassword) may only call
+// PASSWORD_CHANGE_FIELDS. That is checked per resolved root field, so aliases
+// and fragments can't hide anything else in the operation.
+//
+// On a field of any other type, @requiresPermission hides just that field:
+// callers without the permission get null, and the response lists the field
+// under extensions.restrictedFields (see plugins/fieldAccess.js).
+import { GraphQLError, defaultFieldResolver } from "graphql";
+import {
+  checkPermission,
+  hasPermission,
+} from "../services/permissionService.js";
+import { PASSWORD_CHANGE_SCOPE } from "../services/tokenService.js";
+import { logger } from "../services/logService.js";
+
+const ROOT_TYPES = ["Query", "Mutation"];
+const AUTH_DIRECTIVES = ["public", "authenticated", "requiresPermission"];
+
+// all a restricted token may do until the password is changed
+const PASSWORD_CHANGE_FIELDS = new Set([
+  "Mutation.changeMyPassword",
+  "Mutation.logoutAdmin",
+  "Mutation.logoutAllSessions",
+]);
+
+const rootFields = (typeDefs) =>
+  typeDefs.definitions
+    .filter(
+      (def) =>
+        ["ObjectTypeDefinition", "ObjectTypeExtension"].includes(def.kind) &&
+        ROOT_TYPES.includes(def.name.value),
+    )
+    .flatMap((def) =>
+      def.fields.map((field) => ({ type: def.name.value, field })),
+    );
+
+// { "Query.getRoles": { directive: "requiresPermission", permission: "roles.read", noImpersonation: false } }
+export const collectAuthRules = (typeDefs) => {
+  const rules = {};
+
+  for (const { type, field } of rootFields(typeDefs)) {
+    const directive = field.directives.find((d) =>
+      AUTH_DIRECTIVES.includes(d.name.value),
+    );
+
+    if (!directive) continue;
+
+    rules[`${type}.${field.name.value}`] = {
+      directive: directive.name.value,
+      permission: directive.arguments.find((a) => a.name.value === "name")
+        ?.value.value,
+      noImpersonation: field.directives.some(
+        (d) => d.name.value === "noImpersonation",
+      ),
+    };
+  }
+
+  return rules;
+};
+
+// { "Astrologer.email": "astrologer.contact.read" }
+export const collectFieldRules = (typeDefs) => {
+  const rules = {};
+
+  for (const def of typeDefs.definitions) {
+    if (
+      !["ObjectTypeDefinition", "ObjectTypeExtension"].includes(def.kind) ||
+      ROOT_TYPES.includes(def.name.value)
+    ) {
+      continue;
+    }
+
+    for (const field of def.fields || []) {
+      const directive = field.directives.find(
+        (d) => d.name.value === "requiresPermission",
+      );
+      if (!directive) continue;
+
+      rules[`${def.name.value}.${field.name.value}`] = directive.arguments.find(
+        (a) => a.name.value === "name",
+      ).value.value;
+    }
+  }
+
+  return rules;
+};
+
+export const findUnannotatedFields = (typeDefs) => {
+  const rules = collectAuthRules(typeDefs);
+
+  return rootFields(typeDefs)
+    .map(({ type, field }) => `${type}.${field.name.value}`)
+    .filter((key) => !rules[key]);
+};
+
+// startup check — run once before the server starts
+export const reportUnannotatedFields = (typeDefs) => {
+  const missing = findUnannotatedFields(typeDefs);
+
+  if (missing.length) {
+    // they will be denied
+    logger.warn("UNANNOTATED_OPERATIONS", { count: missing.length, missing });
+  }
+
+  return missing;
+};
+
+const enforce = async (key, rule, context) => {
+  if (
+    context.token?.scope === PASSWORD_CHANGE_SCOPE &&
+    !PASSWORD_CHANGE_FIELDS.has(key)
+  ) {
+    throw new GraphQLError("Password change required", {
+      extensions: { code: "PASSWORD_CHANGE_REQUIRED" },
+    });
+  }
+
+  if (rule?.noImpersonation && context.token?.actorId) {
+    throw new Error("Forbidden: not allowed while impersonating");
+  }
+
+  switch (rule?.directive) {
+    case "public":
+      return;
+    case "authenticated":
+      if (!context.user?.id) throw new Error("Unauthorized");
+      return;
+    case "requiresPermission":
+      await checkPermission(context, rule.permission);
+      return;
+    default:
+      throw new Error("Forbidden: operation has no authorization rule");
+  }
+};
+
+// one lookup per permission per request, however many rows are returned
+const canSeeField = (context, permission) => {
+  context.fieldAccess ??= new Map();
+
+  if (!context.fieldAccess.has(permission)) {
+    context.fieldAccess.set(permission, hasPermission(context, permission));
+  }
+
+  return context.fieldAccess.get(permission);
+};
+
+const restrictField = (context, field, permission) => {
+  context.restrictedFields ??= new Map();
+  context.restrictedFields.set(field, {
+    field,
+    permission,
+    reason: `Requires permission ${permission}`,
+  });
+};
+
+export const applyAuthorization = (typeDefs, resolvers) => {
+  const rules = collectAuthRules(typeDefs);
+  const guarded = { ...resolvers };
+
+  for (const [key, permission] of Object.entries(collectFieldRules(typeDefs))) {
+    const [type, field] = key.split(".");
+    const resolve = resolvers[type]?.[field] || defaultFieldResolver;
+
+    guarded[type] = {
+      ...guarded[type],
+      [field]: async (parent, args, context, info) => {
+        if (!(await canSeeField(context, permission))) {
+          restrictField(context, key, permission);
+          return null;
+        }
+        return resolve(parent, args, context, info);
+      },
+    };
+  }
+
+  for (const type of ROOT_TYPES) {
+    if (!resolvers[type]) continue;
+
+    guarded[type] = Object.fromEntries(
+      Object.entries(resolvers[type]).map(([field, resolve]) => [
+        field,
+        async (parent, args, context, info) => {
+          await enforce(`${type}.${field}`, rules[`${type}.${field}`], context);
+          return resolve(parent, args, context, info);
+        },
+      ]),
+    );
+  }
+
+  return guarded;
+};
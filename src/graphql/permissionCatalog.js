@@ -0,0 +1,54 @@
+// src/graphql/permissionCatalog.js
+// Every permission the API checks. The @requiresPermission directives in
+// typeDefs.js are the registry (plus RESOLVER_PERMISSIONS below), so an
+// operation or field can't require a permission that the catalogue (and
+// therefore the sync) doesn't know about.
+import typeDefs from "./typeDefs.js";
+import { collectAuthRules, collectFieldRules } from "./authorization.js";
+import { CONTACT_ENTITIES } from "../services/contactRevealService.js";
+
+// checked inside the resolver, because they depend on an argument
+const RESOLVER_PERMISSIONS = {
+  "Mutation.revealContact": Object.values(CONTACT_ENTITIES).map(
+    (entity) => entity.permission,
+  ),
+};
+
+// "all-services.create"     -> module "all-services", action "create"
+// "astrologer.contact.read" -> module "astrologer", action "contact.read"
+const splitName = (name) => {
+  const dot = name.indexOf(".");
+  return { module: name.slice(0, dot), action: name.slice(dot + 1) };
+};
+
+// [{ name, module, action, operations: ["Mutation.updateRole", ...], fields: ["Astrologer.email", ...] }]
+export const buildPermissionCatalog = (schema = typeDefs) => {
+  const catalog = new Map();
+
+  const entry = (name) => {
+    if (!catalog.has(name)) {
+      catalog.set(name, { name, ...splitName(name), operations: [], fields: [] });
+    }
+    return catalog.get(name);
+  };
+
+  const rules = collectAuthRules(schema);
+
+  for (const [operation, rule] of Object.entries(rules)) {
+    if (rule.directive !== "requiresPermission") continue;
+    entry(rule.permission).operations.push(operation);
+  }
+
+  for (const [operation, permissions] of Object.entries(RESOLVER_PERMISSIONS)) {
+    if (!rules[operation]) continue;
+    permissions.forEach((name) => entry(name).operations.push(operation));
+  }
+
+  for (const [field, permission] of Object.entries(collectFieldRules(schema))) {
+    entry(permission).fields.push(field);
+  }
+
+  return [...catalog.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const PERMISSION_CATALOG = buildPermissionCatalog();
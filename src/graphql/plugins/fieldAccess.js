@@ -0,0 +1,18 @@
+// src/graphql/plugins/fieldAccess.js
+// Tells the client which fields came back null because of field-level
+// permissions (graphql/authorization.js), so "hidden" isn't mistaken for "empty".
+export const fieldAccessPlugin = () => ({
+  async requestDidStart() {
+    return {
+      async willSendResponse({ contextValue, response }) {
+        const restricted = contextValue.restrictedFields;
+        if (!restricted?.size || response.body.kind !== "single") return;
+
+        response.body.singleResult.extensions = {
+          ...response.body.singleResult.extensions,
+          restrictedFields: [...restricted.values()],
+        };
+      },
+    };
+  },
+});
@@ -0,0 +1,216 @@
+// src/graphql/plugins/mutationAudit.js
+import { Kind, getArgumentValues } from "graphql";
+import { collectFields } from "graphql/execution/collectFields.js";
+import { REDACTED, isSensitiveKey, redact } from "../../utils/redact.js";
+import { logGraphQLEvent, logger } from "../../services/logService.js";
+import { callerId } from "../../utils/callerId.js";
+
+// mutation -> [prisma model, id argument, id parser]; no id argument = id from
+// the result. GraphQL IDs arrive as strings, so Int keys need a parser.
+const AUDITED_ENTITIES = {
+  createAdmin: ["admin"],
+  updateAdmin: ["admin", "adminId"],
+  deleteAdmin: ["admin", "adminId"],
+
+  addAstrologer: ["astrologer"],
+  updateAstrologer: ["astrologer", "astrologerId"],
+  deleteAstrologer: ["astrologer", "astrologerId"],
+  scheduleInterview: ["astrologer", "astrologerId"],
+  rejectAstrologer: ["astrologer", "astrologerId"],
+  approveAstrologer: ["astrologer", "astrologerId"],
+  verifyDocument: ["astrologerDocument", "documentId", Number],
+
+  updateUser: ["user", "userId"],
+  deleteUser: ["user", "userId"],
+
+  createStaff: ["staff"],
+  updateStaff: ["staff", "staffId"],
+  deleteStaff: ["staff", "staffId"],
+  unlockStaff: ["staff", "staffId"],
+  revokeStaffSessions: ["staff", "staffId"],
+
+  createRole: ["role"],
+  updateRole: ["role", "roleId"],
+  deleteRole: ["role", "roleId"],
+  assignPermissionsToRole: ["role", "roleId"],
+  setRoleTotpRequirement: ["role", "roleId"],
+
+  approveChangeRequest: ["changeRequest", "id"],
+  rejectChangeRequest: ["changeRequest", "id"],
+
+  createPermission: ["permission"],
+  updatePermission: ["permission", "permissionId"],
+  deletePermission: ["permission", "permissionId"],
+
+  createModule: ["module"],
+  updateModule: ["module", "id"],
+  deleteModule: ["module", "id"],
+
+  createDepartment: ["department"],
+  updateDepartment: ["department", "departmentId"],
+  deleteDepartment: ["department", "departmentId"],
+
+  createRechargePack: ["rechargePack"],
+  updateRechargePack: ["rechargePack", "id"],
+  deleteRechargePack: ["rechargePack", "id"],
+
+  createCoupon: ["coupon"],
+  updateCouponStatus: ["coupon", "id"],
+  deleteCoupon: ["coupon", "id"],
+
+  createCategory: ["category"],
+  createService: ["service"],
+  updateService: ["service", "id"],
+  deleteService: ["service", "id"],
+  createGift: ["gift"],
+  updateGift: ["gift", "id"],
+  deleteGift: ["gift", "id"],
+  createTestimonial: ["testimonial"],
+  updateTestimonial: ["testimonial", "id"],
+  deleteTestimonial: ["testimonial", "id"],
+  createFaq: ["faq"],
+  updateFaq: ["faq", "id"],
+  deleteFaq: ["faq", "id"],
+  createBanner: ["banner"],
+  updateBanner: ["banner", "id"],
+  deleteBanner: ["banner", "id"],
+};
+
+const snapshot = async (prisma, model, id) => {
+  if (!id) return null;
+
+  try {
+    return await prisma[model].findUnique({ where: { id } });
+  } catch {
+    return null;
+  }
+};
+
+const comparable = (value) =>
+  value instanceof Date ? value.toISOString() : JSON.stringify(value);
+
+// { field: { before, after } } for every field that changed
+export const diffSnapshots = (before, after) => {
+  const diff = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (comparable(from) === comparable(to)) continue;
+
+    diff[field] = isSensitiveKey(field)
+      ? { before: REDACTED, after: REDACTED }
+      : { before: redact(from), after: redact(to) };
+  }
+
+  return diff;
+};
+
+// root mutation fields with their resolved arguments, the way execution
+// collects them: through fragment spreads, inline fragments and @skip/@include
+const mutationFields = ({ schema, document, operation, request }) => {
+  const mutationType = schema.getMutationType();
+  const variables = request.variables || {};
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition]),
+  );
+
+  const collected = collectFields(
+    schema,
+    fragments,
+    variables,
+    mutationType,
+    operation.selectionSet,
+  );
+
+  return [...collected].map(([alias, [selection]]) => {
+    const name = selection.name.value;
+    const fieldDef = mutationType.getFields()[name];
+
+    let args = {};
+    try {
+      args = getArgumentValues(fieldDef, selection, variables);
+    } catch {
+      // invalid input: execution will report it
+    }
+
+    return { name, alias, args };
+  });
+};
+
+export const mutationAuditPlugin = () => ({
+  async requestDidStart() {
+    const startedAt = Date.now();
+    let fields = [];
+
+    return {
+      // runs before execution, so "before" is the state the resolver saw
+      async didResolveOperation(requestContext) {
+        if (requestContext.operation.operation !== "mutation") return;
+
+        const { prisma } = requestContext.contextValue;
+
+        fields = await Promise.all(
+          mutationFields(requestContext).map(async (field) => {
+            const [model, idArg, parseId = (id) => id] =
+              AUDITED_ENTITIES[field.name] || [];
+            const id = idArg ? parseId(field.args[idArg]) : null;
+
+            return {
+              ...field,
+              model,
+              id,
+              before: model ? await snapshot(prisma, model, id) : null,
+            };
+          }),
+        );
+      },
+
+      async willSendResponse({ contextValue, response, operationName }) {
+        if (!fields.length) return;
+
+        const result =
+          response.body.kind === "single" ? response.body.singleResult : {};
+        const durationMs = Date.now() - startedAt;
+
+        // don't hold the response for the "after" snapshot
+        Promise.all(
+          fields.map(async (field) => {
+            const errors = (result.errors || []).filter(
+              (error) => error.path?.[0] === field.alias,
+            );
+            const id = field.id || result.data?.[field.alias]?.id || null;
+            const after = field.model
+              ? await snapshot(contextValue.prisma, field.model, id)
+              : null;
+
+            logGraphQLEvent(
+              errors.length || !result.data ? "ERROR" : "SUCCESS",
+              field.name,
+              callerId(contextValue),
+              {
+                operationName: operationName || null,
+                errors: errors.map((error) => error.message),
+                variables: redact(field.args),
+                entity: field.model || null,
+                entityId: id,
+                changes: field.model ? diffSnapshots(field.before, after) : {},
+                ip: contextValue.req?.ip || null,
+                durationMs,
+              },
+            );
+          }),
+        ).catch((error) =>
+          logger.error("MUTATION_AUDIT_FAILED", { error: error.message }),
+        );
+      },
+    };
+  },
+});
@@ -7,65 +7,94 @@ import {
   addAstrologerService,
   adminLoginService,
 } from "../services/adminService.js";
-import { DateTimeResolver } from "graphql-scalars";
-import { connectMongo } from "../config/mongo.js";
+import { DateTimeResolver, JSONResolver } from "graphql-scalars";
+import { GraphQLError } from "graphql";
+import { logGraphQLEvent } from "../services/logService.js";
 
 import GraphQLUpload from "graphql-upload/GraphQLUpload.mjs";
 import { generateSlug } from "../utils/slugify.js";
-import { generateAccessToken, generateRefreshToken } from "../config/jwt.js";
+import { redact } from "../utils/redact.js";
+import {
+  issueStaffTokens,
+  refreshStaffTokenService,
+  logoutStaffService,
+  logoutAllSessionsService,
+  listStaffSessions,
+  revokeOwnSessionService,
+  revokeAllStaffSessions,
+} from "../services/tokenService.js";
+import {
+  requestStaffPasswordResetService,
+  resetStaffPasswordService,
+} from "../services/passwordResetService.js";
+import {
+  getLoginChallengePurpose,
+  resolveTotpStaffId,
+  enrollTotpService,
+  confirmTotpService,
+  verifyLoginTotpService,
+  setRoleTotpRequirementService,
+} from "../services/totpService.js";
+import { generateChallengeToken } from "../config/jwt.js";
+import typeDefs from "./typeDefs.js";
+import { applyAuthorization, collectFieldRules } from "./authorization.js";
+import {
+  getEffectivePermissions,
+  invalidateStaffPermissions,
+  invalidateRolePermissions,
+  invalidateAllPermissions,
+  allowedPermissions,
+  buildPermissionGrants,
+  formatPermissionGrant,
+  checkPermission,
+  scopedWhere,
+} from "../services/permissionService.js";
+import { validateDataScopes } from "../services/dataScopeService.js";
+import {
+  createApiKeyService,
+  listApiKeysService,
+  revokeApiKeyService,
+} from "../services/apiKeyService.js";
+import { callerId } from "../utils/callerId.js";
+import { getAuditLogsService } from "../services/auditLogService.js";
+import { verifyAuditChainService } from "../services/auditChainService.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockStaffService,
+} from "../services/loginThrottleService.js";
+import {
+  validatePasswordPolicy,
+  recordAdminSetPassword,
+  changeMyPasswordService,
+} from "../services/passwordService.js";
+import { impersonateStaffService } from "../services/impersonationService.js";
+import {
+  maskAstrologerContact,
+  maskUserContact,
+  revealContactService,
+  userSearchWhere,
+} from "../services/contactRevealService.js";
+import {
+  assertValidParent,
+  getDescendantRoleIds,
+  getRoleTree,
+} from "../services/roleHierarchyService.js";
+import {
+  approveChangeRequestService,
+  grantsPrivilege,
+  isApplyingChangeRequest,
+  listChangeRequestsService,
+  rejectChangeRequestService,
+  requireApproval,
+  staffUpdateNeedsApproval,
+} from "../services/changeRequestService.js";
 
 const prisma = new PrismaClient();
 
-async function logGraphQLEvent(type, operation, userId = null, details = {}) {
-  try {
-    const db = await connectMongo();
-    const collection = db.collection("adminGraphQLLogs");
-
-    await collection.insertOne({
-      type, // SUCCESS / ERROR
-      operation, // getUsersDetails / createRole etc
-      userId,
-      details,
-      timestamp: new Date(),
-    });
-  } catch (error) {
-    console.error("Mongo log failed:", error.message);
-  }
-}
-
-async function checkPermission(context, requiredPermission) {
-  const staff = context.user;
-
-  if (!staff || !staff.id) {
-    throw new Error("Unauthorized");
-  }
-
-  // 🔥 SUPER ADMIN
-  if (staff.role?.slug === "super-admin") {
-    return true;
-  }
-
-  const rolePerms = await context.prisma.rolePermission.findMany({
-    where: { roleId: staff.roleId },
-    include: { permission: true },
-  });
-
-  const staffPerms = await context.prisma.staffPermission.findMany({
-    where: { staffId: staff.id },
-    include: { permission: true },
-  });
-
-  const allPermissions = [
-    ...rolePerms.map((r) => r.permission.name),
-    ...staffPerms.map((s) => s.permission.name),
-  ];
-
-  if (!allPermissions.includes(requiredPermission)) {
-    throw new Error("Unauthorized: Missing permission");
-  }
-
-  return true;
-}
+// { "Astrologer.email": "astrologer.contact.read", ... }
+const FIELD_RULES = collectFieldRules(typeDefs);
 
 // generate auto permission
 const generateCRUDPermissions = async (module, prismaInstance) => {
@@ -101,16 +130,13 @@ const generateCRUDPermissions = async (module, prismaInstance) => {
   }
 };
 
-export const resolvers = {
+const resolverMap = {
   Upload: GraphQLUpload,
+  JSON: JSONResolver,
   Query: {
     // ================= GET USERS (ADMIN ONLY) =================
     getUsersDetails: async (_, { page = 1, limit = 10 }, context) => {
       try {
-        if (!context.user || context.user.role.name !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const skip = (page - 1) * limit;
 
         const [users, totalCount] = await Promise.all([
@@ -123,7 +149,7 @@ export const resolvers = {
         ]);
 
         return {
-          data: users,
+          data: users.map(maskUserContact),
           totalCount,
           currentPage: page,
           totalPages: Math.ceil(totalCount / limit),
@@ -135,10 +161,6 @@ export const resolvers = {
 
     getUsersListBySearch: async (_, { searchInput }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const { query, page = 1, limit = 10 } = searchInput;
 
         const safePage = Math.max(page, 1);
@@ -146,14 +168,7 @@ export const resolvers = {
 
         const skip = (safePage - 1) * safeLimit;
 
-        const where = query
-          ? {
-              OR: [
-                { name: { contains: query, mode: "insensitive" } },
-                { mobile: { contains: query } },
-              ],
-            }
-          : {};
+        const where = await userSearchWhere(context, query);
 
         const [users, totalCount] = await Promise.all([
           prisma.user.findMany({
@@ -166,7 +181,7 @@ export const resolvers = {
         ]);
 
         return {
-          data: users,
+          data: users.map(maskUserContact),
           totalCount,
           currentPage: safePage,
           totalPages: Math.ceil(totalCount / safeLimit),
@@ -178,7 +193,6 @@ export const resolvers = {
 
     getAstrologerListBySearch: async (_, { searchInput }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "astrologer.read");
       try {
         if (!context) throw new Error("Not authorized");
 
@@ -212,15 +226,19 @@ export const resolvers = {
           orderBy.createdAt = "desc";
         }
 
-        const where = query
-          ? {
-              OR: [
-                { name: { contains: query, mode: "insensitive" } },
-                { skills: { has: query } },
-                { languages: { has: query } },
-              ],
-            }
-          : {};
+        const where = await scopedWhere(
+          context,
+          "astrologer",
+          query
+            ? {
+                OR: [
+                  { name: { contains: query, mode: "insensitive" } },
+                  { skills: { has: query } },
+                  { languages: { has: query } },
+                ],
+              }
+            : {},
+        );
 
         const [astrologers, totalCount] = await Promise.all([
           prisma.astrologer.findMany({
@@ -233,7 +251,7 @@ export const resolvers = {
         ]);
 
         const response = {
-          data: astrologers,
+          data: astrologers.map(maskAstrologerContact),
           totalCount,
           currentPage: safePage,
           totalPages: Math.ceil(totalCount / safeLimit),
@@ -248,19 +266,15 @@ export const resolvers = {
     // ================= GET PENDING ASTROLOGERS =================
     getPendingAstrologers: async (_, { page = 1, limit = 10 }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const safePage = Math.max(page, 1);
         const safeLimit = Math.min(limit, 50);
         const skip = (safePage - 1) * safeLimit;
 
-        const whereCondition = {
+        const whereCondition = await scopedWhere(context, "astrologer", {
           approvalStatus: {
             in: ["PENDING", "INTERVIEW", "DOCUMENT_VERIFICATION"],
           },
-        };
+        });
 
         const [astrologers, totalCount] = await Promise.all([
           prisma.astrologer.findMany({
@@ -280,7 +294,7 @@ export const resolvers = {
         ]);
 
         const response = {
-          data: astrologers,
+          data: astrologers.map(maskAstrologerContact),
           totalCount,
           currentPage: safePage,
           totalPages: Math.ceil(totalCount / safeLimit),
@@ -298,14 +312,15 @@ export const resolvers = {
       context,
     ) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const safePage = Math.max(page, 1);
         const safeLimit = Math.min(limit, 50);
         const skip = (safePage - 1) * safeLimit;
 
+        await checkPermission(context, "astrologer.read", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
+
         const whereCondition = { astrologerId };
 
         const [interviews, totalCount] = await Promise.all([
@@ -337,14 +352,15 @@ export const resolvers = {
       context,
     ) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const safePage = Math.max(page, 1);
         const safeLimit = Math.min(limit, 50);
         const skip = (safePage - 1) * safeLimit;
 
+        await checkPermission(context, "astrologer.read", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
+
         const whereCondition = { astrologerId };
 
         const [documents, totalCount] = await Promise.all([
@@ -372,15 +388,12 @@ export const resolvers = {
 
     getRegisteredAstrologers: async (_, { page = 1, limit = 10 }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const safePage = Math.max(page, 1);
         const safeLimit = Math.min(limit, 50);
         const skip = (safePage - 1) * safeLimit;
 
         const astrologers = await prisma.astrologer.findMany({
+          where: await scopedWhere(context, "astrologer"),
           skip,
           take: safeLimit,
           include: {
@@ -390,7 +403,7 @@ export const resolvers = {
           orderBy: { createdAt: "desc" },
         });
 
-        return astrologers;
+        return astrologers.map(maskAstrologerContact);
       } catch (error) {
         throw error;
       }
@@ -398,15 +411,13 @@ export const resolvers = {
 
     getApprovedAstrologers: async (_, { page = 1, limit = 10 }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const safePage = Math.max(page, 1);
         const safeLimit = Math.min(limit, 50);
         const skip = (safePage - 1) * safeLimit;
 
-        const whereCondition = { approvalStatus: "APPROVED" };
+        const whereCondition = await scopedWhere(context, "astrologer", {
+          approvalStatus: "APPROVED",
+        });
 
         const [astrologers, totalCount] = await Promise.all([
           prisma.astrologer.findMany({
@@ -426,7 +437,7 @@ export const resolvers = {
         ]);
 
         const response = {
-          data: astrologers,
+          data: astrologers.map(maskAstrologerContact),
           totalCount,
           currentPage: safePage,
           totalPages: Math.ceil(totalCount / safeLimit),
@@ -448,14 +459,6 @@ export const resolvers = {
           timestamp: new Date().toISOString(),
         });
 
-        if (!context.user || context.user.role !== "SUPER_ADMIN") {
-          console.warn("Unauthorized access attempt to getAdmins", {
-            userId: context?.user?.id,
-            role: context?.user?.role,
-          });
-          throw new Error("Only SUPER_ADMIN can view admins");
-        }
-
         const skip = (page - 1) * limit;
 
         const whereCondition = {
@@ -505,8 +508,6 @@ export const resolvers = {
     },
 
     getRechargePacks: async (_, __, context) => {
-      await checkPermission(context, "walletpackages.read");
-
       return prisma.rechargePack.findMany({
         orderBy: { createdAt: "desc" },
       });
@@ -566,7 +567,6 @@ export const resolvers = {
     // ROLES QUERY
     getRoles: async (_, { page = 1, limit = 10 }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "roles.read");
       try {
         const skip = (page - 1) * limit;
 
@@ -592,10 +592,13 @@ export const resolvers = {
       }
     },
 
+    roleTree: async () => {
+      return getRoleTree();
+    },
+
     // Permission Query
     getPermissions: async (_, { page = 1, limit = 100, type }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "permissions.read");
 
       const skip = (page - 1) * limit;
 
@@ -637,7 +640,6 @@ export const resolvers = {
     getDepartments: async (_, { page = 1, limit = 10 }, context) => {
       const skip = (page - 1) * limit;
       const { prisma } = context;
-      await checkPermission(context, "departments.read");
 
       const [departments, totalCount] = await Promise.all([
         prisma.department.findMany({
@@ -679,7 +681,8 @@ export const resolvers = {
 
       const formatted = staff.map((s) => ({
         ...s,
-        permissions: s.permissions.map((p) => p.permission),
+        permissions: allowedPermissions(s.permissions),
+        grants: s.permissions.map(formatPermissionGrant),
       }));
 
       return {
@@ -690,105 +693,59 @@ export const resolvers = {
       };
     },
 
-    // Get my access
-    getMyAccess: async (_, __, context) => {
-      const user = context.user;
-      if (!user) throw new Error("Unauthorized");
-
-      const fullUser = await prisma.staff.findUnique({
-        where: { id: user.id },
-        include: { role: true },
-      });
-
-      // 🔥 SUPER ADMIN BYPASS (CRITICAL FIX)
-      if (fullUser.role?.slug === "super-admin") {
-        const modules = await prisma.module.findMany({
-          where: { isDeleted: false, isActive: true },
-        });
-        if (!fullUser) throw new Error("User not found in DB");
-        return modules.map((mod) => ({
-          id: mod.id,
-          name: mod.name,
-          slug: mod.slug,
-          permissions: [
-            `${mod.slug}.create`,
-            `${mod.slug}.read`,
-            `${mod.slug}.update`,
-            `${mod.slug}.delete`,
-          ],
-        }));
-      }
-
-      // ================= NORMAL FLOW =================
-
-      const rolePermissions = await prisma.rolePermission.findMany({
-        where: {
-          roleId: user.roleId,
-          permission: { isDeleted: false },
-        },
-        include: {
-          permission: {
-            include: {
-              modules: {
-                where: {
-                  module: { isDeleted: false, isActive: true },
-                },
-                include: { module: true },
-              },
-            },
-          },
-        },
-      });
+    mySessions: async (_, __, context) => {
+      if (!context.user?.id) throw new Error("Unauthorized");
 
-      const staffPermissions = await prisma.staffPermission.findMany({
-        where: {
-          staffId: user.id,
-          permission: { isDeleted: false },
-        },
-        include: {
-          permission: {
-            include: {
-              modules: {
-                where: {
-                  module: { isDeleted: false, isActive: true },
-                },
-                include: { module: true },
-              },
-            },
-          },
-        },
-      });
+      return listStaffSessions(context.user.id, context.token?.sid);
+    },
 
-      const allPermissions = [
-        ...rolePermissions.map((r) => r.permission),
-        ...staffPermissions.map((s) => s.permission),
-      ];
+    auditLogs: async (_, { filter, page, limit }) => {
+      return getAuditLogsService(filter || {}, page, limit);
+    },
 
-      const moduleMap = {};
+    verifyAuditChain: async (_, { from, to }) => {
+      return verifyAuditChainService({ from, to });
+    },
 
-      allPermissions.forEach((perm) => {
-        perm.modules.forEach((mp) => {
-          const mod = mp.module;
+    changeRequests: async (_, { status, page, limit }, context) => {
+      return listChangeRequestsService(context, { status, page, limit });
+    },
 
-          if (!moduleMap[mod.id]) {
-            moduleMap[mod.id] = {
-              id: mod.id,
-              name: mod.name,
-              slug: mod.slug,
-              permissions: new Set(),
-            };
-          }
+    apiKeys: async (_, { includeRevoked }) => listApiKeysService({ includeRevoked }),
 
-          moduleMap[mod.id].permissions.add(perm.name);
-        });
-      });
+    // Get my access
+    getMyAccess: async (_, __, context) => {
+      const { superAdmin, permissions, modules } = await getEffectivePermissions(
+        context.user.id,
+      );
 
-      return Object.values(moduleMap).map((mod) => ({
+      // field permissions belong to the module named by their prefix
+      return modules.map((mod) => ({
         ...mod,
-        permissions: Array.from(mod.permissions),
+        restrictedFields: superAdmin
+          ? []
+          : Object.entries(FIELD_RULES)
+              .filter(
+                ([, permission]) =>
+                  permission.split(".")[0] === mod.slug &&
+                  !permissions.includes(permission),
+              )
+              .map(([field, permission]) => ({ field, permission })),
       }));
     },
 
+    myEffectivePermissions: async (_, __, context) => {
+      const { superAdmin, permissions, denied } = await getEffectivePermissions(
+        context.user.id,
+      );
+      return {
+        staffId: context.user.id,
+        superAdmin,
+        permissions,
+        denied: denied || [],
+      };
+    },
+
     getModulesBySection: async (_, { section }) => {
       return prisma.module.findMany({
         where: {
@@ -811,7 +768,6 @@ export const resolvers = {
     // get coupons
     getCoupons: async (_, __, context) => {
       const { prisma } = context;
-      await checkPermission(context, "coupons.read");
 
       try {
         return await prisma.coupon.findMany({
@@ -826,8 +782,6 @@ export const resolvers = {
     getServices: async (_, __, context) => {
       const { prisma } = context;
 
-      await checkPermission(context, "all-services.read");
-
       return prisma.service.findMany({
         orderBy: { createdAt: "desc" },
       });
@@ -847,8 +801,6 @@ export const resolvers = {
     getGifts: async (_, __, context) => {
       const { prisma } = context;
 
-      await checkPermission(context, "gifts.read"); // ✅ FIXED
-
       return prisma.gift.findMany({
         orderBy: { createdAt: "desc" },
       });
@@ -856,16 +808,12 @@ export const resolvers = {
 
     // Testimonial
     testimonials: async (_, __, context) => {
-      await checkPermission(context, "testimonials.read");
-
       return await context.prisma.testimonial.findMany({
         orderBy: { createdAt: "desc" },
       });
     },
 
     testimonial: async (_, { id }, context) => {
-      await checkPermission(context, "testimonials.read");
-
       return await context.prisma.testimonial.findUnique({
         where: { id },
       });
@@ -873,16 +821,12 @@ export const resolvers = {
 
     // FAQs
     faqs: async (_, __, context) => {
-      await checkPermission(context, "faqs.read");
-
       return context.prisma.faq.findMany({
         orderBy: { createdAt: "desc" },
       });
     },
 
     faq: async (_, { id }, context) => {
-      await checkPermission(context, "faqs.read");
-
       return context.prisma.faq.findUnique({
         where: { id },
       });
@@ -891,7 +835,6 @@ export const resolvers = {
     // banners
     getBanners: async (_, __, context) => {
       const { prisma } = context;
-      await checkPermission(context, "banners.read");
 
       return await prisma.banner.findMany({
         orderBy: { sortorder: "asc" },
@@ -899,26 +842,61 @@ export const resolvers = {
     },
   },
 
+  ChangeRequest: {
+    // the stored args stay raw for the approval re-run; createStaff's password hash is not for display
+    args: (parent) => redact(parent.args),
+
+    // the request's own trail: created / approved / rejected / applied ...
+    history: async (parent) =>
+      (await getAuditLogsService({ target: parent.id }, 1, 100)).data,
+  },
+
   // *******************************************************************************************************************************
 
   Mutation: {
     // ================= ADMIN LOGIN =================
-    loginStaff: async (_, { email, password }, { res }) => {
+    loginStaff: async (_, { email, password, device }, { req }) => {
+      await assertLoginAllowed(email, req?.ip);
+
       const staff = await prisma.staff.findUnique({
         where: { email },
         include: { role: true },
       });
 
-      if (!staff) throw new Error("Invalid credentials");
       // console.log("hhhhhhhhhhhhhhhhhhhhhhhhhhh", permissions);
-      const isMatch = await bcrypt.compare(password, staff.password);
+      const isMatch = staff && (await bcrypt.compare(password, staff.password));
 
-      if (!isMatch) throw new Error("Invalid credentials");
+      if (!isMatch) {
+        await recordLoginFailure(email, req?.ip, {
+          userAgent: req?.headers?.["user-agent"],
+        });
+        throw new Error("Invalid credentials");
+      }
+
+      // 🛡️ 2FA: hand out a challenge instead of real tokens
+      const challengePurpose = await getLoginChallengePurpose(staff);
+
+      // with a code still to come the failure counter stays; verifyLoginTotp clears it
+      if (challengePurpose !== "verify") {
+        await clearLoginFailures(email);
+      }
 
-      const accessToken = generateAccessToken(staff);
-      const refreshToken = generateRefreshToken(staff);
-      console.log("INPUT:", password);
-      console.log("DB:", staff.password);
+      if (challengePurpose) {
+        return {
+          user: staff,
+          accessToken: null,
+          refreshToken: null,
+          totpRequired: true,
+          totpEnrollmentRequired: challengePurpose === "enroll",
+          challengeToken: generateChallengeToken(staff, challengePurpose),
+        };
+      }
+
+      const tokens = await issueStaffTokens(staff, {
+        device,
+        ip: req?.ip,
+        userAgent: req?.headers?.["user-agent"],
+      });
       // res.cookie("token", accessToken, {
       //   httpOnly: true,
       //   sameSite: "lax",
@@ -926,41 +904,175 @@ export const resolvers = {
       // });
 
       return {
-        accessToken,
-        refreshToken,
+        ...tokens,
         user: staff,
+        totpRequired: false,
+        totpEnrollmentRequired: false,
       };
     },
 
+    verifyLoginTotp: async (_, { challengeToken, code, device }, { req }) => {
+      return verifyLoginTotpService(challengeToken, code, {
+        device,
+        ip: req?.ip,
+        userAgent: req?.headers?.["user-agent"],
+      });
+    },
+
+    changeMyPassword: async (
+      _,
+      { currentPassword, newPassword, device },
+      context,
+    ) => {
+      if (!context.user?.id) throw new Error("Unauthorized");
+
+      return changeMyPasswordService(
+        context.user.id,
+        currentPassword,
+        newPassword,
+        {
+          device,
+          ip: context.req?.ip,
+          userAgent: context.req?.headers?.["user-agent"],
+        },
+      );
+    },
+
+    // ================= TOTP 2FA =================
+    enrollTotp: async (_, { challengeToken }, context) => {
+      const staffId = resolveTotpStaffId(context, challengeToken);
+
+      return enrollTotpService(staffId);
+    },
+
+    confirmTotp: async (_, { code, challengeToken }, context) => {
+      const staffId = resolveTotpStaffId(context, challengeToken);
+
+      return confirmTotpService(staffId, code);
+    },
+
+    setRoleTotpRequirement: async (_, { roleId, required }, context) => {
+      return setRoleTotpRequirementService(roleId, required);
+    },
+
+    refreshStaffToken: async (_, { refreshToken }) => {
+      return refreshStaffTokenService(refreshToken);
+    },
+
     logoutAdmin: async (_, __, context) => {
       try {
         if (!context.user?.id) {
           throw new Error("Unauthorized");
         }
 
+        await logoutStaffService(context.token);
+
         return "Admin logged out successfully";
       } catch (error) {
         throw new Error(error.message || "Logout failed");
       }
     },
 
-    assignPermissionsToRole: async (_, { roleId, permissionIds }, context) => {
-      try {
-        if (!context.user || context.user.role !== "SUPER_ADMIN") {
-          throw new Error("Only SUPER_ADMIN can assign permissions");
-        }
+    // ================= PASSWORD RESET =================
+    requestStaffPasswordReset: async (_, { email }) => {
+      await requestStaffPasswordResetService(email);
+
+      return {
+        message: "If the email is registered, an OTP has been sent",
+      };
+    },
+
+    resetStaffPassword: async (_, { email, otp, newPassword }) => {
+      await resetStaffPasswordService(email, otp, newPassword);
+
+      return { message: "Password reset successfully" };
+    },
+
+    // ================= SESSIONS =================
+    revokeSession: async (_, { sessionId }, context) => {
+      if (!context.user?.id) throw new Error("Unauthorized");
+
+      await revokeOwnSessionService(context.user.id, sessionId);
+
+      return true;
+    },
+
+    logoutAllSessions: async (_, __, context) => {
+      if (!context.user?.id) throw new Error("Unauthorized");
+
+      await logoutAllSessionsService(context.token);
+
+      return true;
+    },
+
+    unlockStaff: async (_, { staffId }, context) => {
+      return unlockStaffService(staffId, context.user.id);
+    },
+
+    revokeStaffSessions: async (_, { staffId }, context) => {
+      const count = await revokeAllStaffSessions(staffId);
+
+      logGraphQLEvent("SUCCESS", "revokeStaffSessions", context.user.id, {
+        staffId,
+        sessionCount: count,
+      });
+
+      return true;
+    },
+
+    // ================= IMPERSONATION =================
+    impersonateStaff: async (_, { staffId, reason }, context) =>
+      impersonateStaffService(context, staffId, reason),
+
+    revealContact: async (_, { entity, id, reason }, context) =>
+      revealContactService(context, entity, id, reason),
+
+    // ================= API KEYS =================
+    createApiKey: async (_, { name, permissions, expiresAt }, context) =>
+      createApiKeyService(context, { name, permissions, expiresAt }),
+
+    revokeApiKey: async (_, { id }, context) => revokeApiKeyService(context, id),
+
+    // ================= CHANGE REQUESTS =================
+    // approval re-runs the original (unguarded) resolver with the stored args
+    approveChangeRequest: async (_, { id, note }, context) =>
+      approveChangeRequestService(context, id, note, (request) =>
+        resolverMap.Mutation[request.operation](null, request.args, {
+          ...context,
+          changeRequest: request,
+        }),
+      ),
+
+    rejectChangeRequest: async (_, { id, note }, context) =>
+      rejectChangeRequestService(context, id, note),
 
+    assignPermissionsToRole: async (
+      _,
+      { roleId, permissionIds, grants },
+      context,
+    ) => {
+      try {
         const role = await prisma.role.findUnique({ where: { id: roleId } });
         if (!role) throw new Error("Role not found");
 
+        const requested = buildPermissionGrants(permissionIds, grants);
+        const requestedIds = requested.map((grant) => grant.permissionId);
+
         const permissions = await prisma.permission.findMany({
-          where: { id: { in: permissionIds } },
+          where: { id: { in: requestedIds } },
         });
 
-        if (permissions.length !== permissionIds.length) {
+        if (permissions.length !== requestedIds.length) {
           throw new Error("One or more permission IDs are invalid");
         }
 
+        await requireApproval(
+          context,
+          "assignPermissionsToRole",
+          { roleId, permissionIds, grants },
+          `Grant ${permissions.map((p) => p.name).join(", ")} to role ${role.name}`,
+        );
+
         await prisma.rolePermission.createMany({
           data: permissionIds.map((permissionId) => ({
             roleId,
@@ -969,6 +1081,21 @@ export const resolvers = {
           skipDuplicates: true,
         });
 
+        // grants come after permissionIds; re-granting replaces an existing
+        // grant's effect and window
+        const explicitGrants = requested.slice(permissionIds.length);
+
+        for (const grant of explicitGrants) {
+          const { permissionId, effect, validFrom, validUntil } = grant;
+          await prisma.rolePermission.upsert({
+            where: { roleId_permissionId: { roleId, permissionId } },
+            create: { roleId, permissionId, effect, validFrom, validUntil },
+            update: { effect, validFrom, validUntil },
+          });
+        }
+
+        await invalidateRolePermissions(roleId);
+
         const updatedRole = await prisma.role.findUnique({
           where: { id: roleId },
           include: {
@@ -982,9 +1109,11 @@ export const resolvers = {
           id: updatedRole.id,
           name: updatedRole.name,
           description: updatedRole.description,
-          permissions: updatedRole.permissions.map((rp) => rp.permission),
+          permissions: allowedPermissions(updatedRole.permissions),
+          grants: updatedRole.permissions.map(formatPermissionGrant),
         };
       } catch (error) {
+        if (error instanceof GraphQLError) throw error;
         throw new Error(
           error.message || "Failed to assign permissions to role",
         );
@@ -994,9 +1123,6 @@ export const resolvers = {
     // ================= CREATE ADMIN =================
     createAdmin: async (_, args, context) => {
       try {
-        if (!context.user || context.user.role !== "SUPER_ADMIN")
-          throw new Error("Only SUPER_ADMIN can create admins");
-
         return await createAdminService(args);
       } catch (error) {
         throw new Error(error.message || "Failed to create admin");
@@ -1006,10 +1132,6 @@ export const resolvers = {
     // ================= UPDATE ADMIN =================
     updateAdmin: async (_, { adminId, name, email, roleId }, context) => {
       try {
-        if (!context.user || context.user.role !== "SUPER_ADMIN") {
-          throw new Error("Only SUPER_ADMIN can update admins");
-        }
-
         const existingAdmin = await prisma.admin.findUnique({
           where: { id: adminId },
           include: { role: true },
@@ -1062,10 +1184,6 @@ export const resolvers = {
     // ================= DELETE ADMIN =================
     deleteAdmin: async (_, { adminId }, context) => {
       try {
-        if (!context.user || context.user.role !== "SUPER_ADMIN") {
-          throw new Error("Only SUPER_ADMIN can delete admins");
-        }
-
         const existingAdmin = await prisma.admin.findUnique({
           where: { id: adminId },
           include: { role: true },
@@ -1093,8 +1211,6 @@ export const resolvers = {
     addAstrologer: async (_, { data }, context) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "astrologer.create");
-
         const astrologer = await prisma.astrologer.create({
           data: {
             name: data.astroname,
@@ -1180,11 +1296,10 @@ export const resolvers = {
     // ================= UPDATE ASTROLOGER =================
     updateAstrologer: async (_, { astrologerId, data }, context) => {
       try {
-        if (
-          !context.user ||
-          !["SUPER_ADMIN", "MANAGER"].includes(context.user.role)
-        )
-          throw new Error("Not authorized");
+        await checkPermission(context, "astrologer.update", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
 
         const existing = await prisma.astrologer.findUnique({
           where: { id: astrologerId },
@@ -1204,11 +1319,10 @@ export const resolvers = {
     // ================= DELETE ASTROLOGER =================
     deleteAstrologer: async (_, { astrologerId }, context) => {
       try {
-        if (
-          !context.user ||
-          !["SUPER_ADMIN", "MANAGER"].includes(context.user.role)
-        )
-          throw new Error("Not authorized");
+        await checkPermission(context, "astrologer.delete", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
 
         const existing = await prisma.astrologer.findUnique({
           where: { id: astrologerId },
@@ -1229,10 +1343,6 @@ export const resolvers = {
     // ================= UPDATE USER =================
     updateUser: async (_, { userId, data }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const existingUser = await prisma.user.findUnique({
           where: { id: userId },
         });
@@ -1267,10 +1377,6 @@ export const resolvers = {
 
     updateUser: async (_, { userId, data }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const user = await prisma.user.findUnique({
           where: { id: userId },
         });
@@ -1294,10 +1400,6 @@ export const resolvers = {
 
     deleteUser: async (_, { userId }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN") {
-          throw new Error("Admin only");
-        }
-
         const user = await prisma.user.findUnique({
           where: { id: userId },
         });
@@ -1323,15 +1425,23 @@ export const resolvers = {
     // ================= VERIFY DOCUMENT =================
     verifyDocument: async (_, { documentId, status, remarks }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN")
-          throw new Error("Admin only");
+        const document = await prisma.astrologerDocument.findUnique({
+          where: { id: Number(documentId) },
+        });
+
+        if (!document) throw new Error("Document not found");
+
+        await checkPermission(context, "astrologer.update", {
+          entity: "astrologer",
+          id: document.astrologerId,
+        });
 
         return await prisma.astrologerDocument.update({
           where: { id: Number(documentId) },
           data: {
             status,
             remarks,
-            verifiedBy: context.user.id,
+            verifiedBy: callerId(context),
             verifiedAt: new Date(),
           },
         });
@@ -1343,8 +1453,10 @@ export const resolvers = {
     // ================= SCHEDULE INTERVIEW =================
     scheduleInterview: async (_, args, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN")
-          throw new Error("Admin only");
+        await checkPermission(context, "astrologer.update", {
+          entity: "astrologer",
+          id: args.astrologerId,
+        });
 
         await prisma.astrologer.update({
           where: { id: args.astrologerId },
@@ -1367,15 +1479,17 @@ export const resolvers = {
     // ================= REJECT ASTROLOGER =================
     rejectAstrologer: async (_, { astrologerId, stage, reason }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN")
-          throw new Error("Admin only");
+        await checkPermission(context, "astrologer.update", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
 
         await prisma.astrologerRejectionHistory.create({
           data: {
             astrologerId,
             stage,
             reason,
-            rejectedBy: context.user.id,
+            rejectedBy: callerId(context),
           },
         });
 
@@ -1393,8 +1507,10 @@ export const resolvers = {
     // ================= APPROVE ASTROLOGER =================
     approveAstrologer: async (_, { astrologerId }, context) => {
       try {
-        if (!context.user || context.user.role !== "ADMIN")
-          throw new Error("Admin only");
+        await checkPermission(context, "astrologer.update", {
+          entity: "astrologer",
+          id: astrologerId,
+        });
 
         await prisma.astrologer.update({
           where: { id: astrologerId },
@@ -1411,7 +1527,6 @@ export const resolvers = {
 
     createRechargePack: async (_, { input }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "walletpackages.create");
 
       try {
         const pack = await prisma.rechargePack.create({
@@ -1432,7 +1547,6 @@ export const resolvers = {
 
     deleteRechargePack: async (_, { id }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "walletpackages.delete");
 
       try {
         await prisma.rechargePack.delete({
@@ -1447,7 +1561,6 @@ export const resolvers = {
 
     updateRechargePack: async (_, { id, input }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "walletpackages.update");
 
       try {
         const pack = await prisma.rechargePack.update({
@@ -1465,7 +1578,6 @@ export const resolvers = {
 
     createCoupon: async (_, { input }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "coupons.create");
 
       try {
         const coupon = await prisma.coupon.create({
@@ -1492,7 +1604,6 @@ export const resolvers = {
 
     deleteCoupon: async (_, { id }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "coupons.delete");
 
       try {
         await prisma.coupon.delete({
@@ -1507,7 +1618,6 @@ export const resolvers = {
 
     updateCouponStatus: async (_, { id, status }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "coupons.update");
 
       try {
         const updated = await prisma.coupon.update({
@@ -1529,8 +1639,6 @@ export const resolvers = {
       const { prisma } = context;
 
       try {
-        await checkPermission(context, "modules.create");
-
         const normalizedName = name.trim();
         const normalizedSlug = slug.trim().toLowerCase();
         const normalizedSection = section.trim().toLowerCase();
@@ -1569,8 +1677,6 @@ export const resolvers = {
     ) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "modules.edit");
-
         const moduleExists = await prisma.module.findUnique({
           where: { id },
         });
@@ -1613,7 +1719,6 @@ export const resolvers = {
 
     deleteModule: async (_, { id }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "modules.delete");
 
       await prisma.modulePermission.deleteMany({
         where: { moduleId: id },
@@ -1623,15 +1728,16 @@ export const resolvers = {
         where: { id },
       });
 
+      await invalidateAllPermissions();
+
       return true;
     },
 
     // Roles +++++++++++++++++++++++++++++++
 
-    createRole: async (_, { name, slug, description }, context) => {
+    createRole: async (_, { name, slug, description, parentId }, context) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "roles.create");
         const normalizedName = name.trim();
         const normalizedSlug = slug.trim().toLowerCase();
 
@@ -1645,43 +1751,84 @@ export const resolvers = {
           throw new Error("Role with same name or slug already exists");
         }
 
+        // a new role has no children, so any existing parent is cycle-free
+        if (parentId && !(await prisma.role.findUnique({ where: { id: parentId } }))) {
+          throw new Error("Parent role not found");
+        }
+
+        // members would inherit everything the parent has
+        if (parentId && (await grantsPrivilege({ roleId: parentId }))) {
+          await requireApproval(
+            context,
+            "createRole",
+            { name, slug, description, parentId },
+            `Create role ${normalizedSlug} under a privileged parent`,
+          );
+        }
+
         const role = await prisma.role.create({
           data: {
             name: normalizedName,
             slug: normalizedSlug,
             description,
+            ...(parentId && { parentId }),
           },
         });
 
         return role;
       } catch (error) {
+        if (error instanceof GraphQLError) throw error;
         throw new Error(error.message || "Failed to create role");
       }
     },
 
     updateRole: async (
       _,
-      { roleId, name, slug, description, isActive },
+      { roleId, name, slug, description, isActive, parentId },
       context,
     ) => {
       const { prisma } = context;
-      await checkPermission(context, "roles.edit");
 
-      return prisma.role.update({
+      // parentId: null detaches the role from its parent
+      if (parentId) {
+        await assertValidParent(roleId, parentId);
+
+        const current = await prisma.role.findUnique({ where: { id: roleId } });
+
+        if (
+          current?.parentId !== parentId &&
+          (await grantsPrivilege({ roleId: parentId }))
+        ) {
+          await requireApproval(
+            context,
+            "updateRole",
+            { roleId, name, slug, description, isActive, parentId },
+            `Move role ${current?.slug || roleId} under a privileged parent`,
+          );
+        }
+      }
+
+      const role = await prisma.role.update({
         where: { id: roleId },
         data: {
           ...(name && { name }),
           ...(slug && { slug: slug.trim().toLowerCase() }),
           ...(description !== undefined && { description }),
           ...(isActive !== undefined && { isActive }), // 👈 ADD THIS
+          ...(parentId !== undefined && { parentId }),
         },
       });
+
+      // slug decides the super-admin bypass; parent/isActive change what
+      // this role and its children inherit
+      await invalidateRolePermissions(roleId);
+
+      return role;
     },
 
     deleteRole: async (_, { roleId }, context) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "roles.delete");
         const role = await prisma.role.findUnique({
           where: { id: roleId },
         });
@@ -1690,9 +1837,30 @@ export const resolvers = {
           throw new Error("Role not found");
         }
 
-        await prisma.role.delete({
-          where: { id: roleId },
-        });
+        if (await prisma.staff.count({ where: { roleId } })) {
+          return {
+            success: false,
+            message: "Failed to delete role",
+            error: "This role is assigned to staff. Delete or reassign first.",
+          };
+        }
+
+        // staff of child roles lose what they inherited through this role;
+        // collect them before the children are re-parented
+        const descendantIds = await getDescendantRoleIds(roleId);
+
+        // children move up to the deleted role's parent, in the same transaction
+        await prisma.$transaction([
+          prisma.role.updateMany({
+            where: { parentId: roleId },
+            data: { parentId: role.parentId ?? null },
+          }),
+          prisma.role.delete({ where: { id: roleId } }),
+        ]);
+
+        for (const descendantId of descendantIds) {
+          await invalidateRolePermissions(descendantId);
+        }
 
         return {
           success: true,
@@ -1703,7 +1871,7 @@ export const resolvers = {
         return {
           success: false,
           message: "Failed to delete role",
-          error: "This role is assigned to staff. Delete or reassign first.",
+          error: error.message,
         };
       }
     },
@@ -1711,7 +1879,6 @@ export const resolvers = {
     // Permission
     createPermission: async (_, { name, moduleIds }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "permissions.create");
 
       if (name.includes(".")) {
         throw new Error("System permissions cannot be created manually");
@@ -1740,7 +1907,6 @@ export const resolvers = {
 
     updatePermission: async (_, { permissionId, name, moduleIds }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "permissions.update");
 
       const existing = await prisma.permission.findUnique({
         where: { id: permissionId },
@@ -1751,6 +1917,11 @@ export const resolvers = {
         throw new Error("System permissions cannot be updated");
       }
 
+      // a rename can't turn it into a system (possibly privileged) name
+      if (name?.includes(".")) {
+        throw new Error("System permissions cannot be created manually");
+      }
+
       if (moduleIds) {
         await prisma.modulePermission.deleteMany({
           where: { permissionId },
@@ -1774,6 +1945,8 @@ export const resolvers = {
         },
       });
 
+      await invalidateAllPermissions();
+
       return {
         ...permission,
         modules: permission.modules.map((m) => m.module),
@@ -1782,7 +1955,6 @@ export const resolvers = {
 
     deletePermission: async (_, { permissionId }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "permissions.delete");
 
       const existing = await prisma.permission.findUnique({
         where: { id: permissionId },
@@ -1801,13 +1973,14 @@ export const resolvers = {
         where: { id: permissionId },
       });
 
+      await invalidateAllPermissions();
+
       return true;
     },
 
     // Department
-    createDepartment: async (_, { name, description }, context) => {
+    createDepartment: async (_, { name, description, scopes }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "departments.create");
       const slug = generateSlug(name);
 
       const department = await prisma.department.create({
@@ -1815,6 +1988,7 @@ export const resolvers = {
           name,
           slug,
           description,
+          scopes: validateDataScopes(scopes),
         },
       });
 
@@ -1823,11 +1997,10 @@ export const resolvers = {
 
     updateDepartment: async (
       _,
-      { departmentId, name, description, isActive },
+      { departmentId, name, description, isActive, scopes },
       context,
     ) => {
       const { prisma } = context;
-      await checkPermission(context, "departments.edit");
       let slug;
 
       if (name) {
@@ -1841,15 +2014,24 @@ export const resolvers = {
           ...(slug && { slug }),
           ...(description !== undefined && { description }),
           ...(isActive !== undefined && { isActive }),
+          ...(scopes !== undefined && { scopes: validateDataScopes(scopes) }),
         },
       });
 
+      // scopes are cached with each member's effective permissions
+      if (scopes !== undefined) {
+        const members = await prisma.staff.findMany({
+          where: { departmentId },
+          select: { id: true },
+        });
+        await invalidateStaffPermissions(...members.map((member) => member.id));
+      }
+
       return department;
     },
 
     deleteDepartment: async (_, { departmentId }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "departments.delete");
       const staffCount = await prisma.staff.count({
         where: { departmentId },
       });
@@ -1869,13 +2051,12 @@ export const resolvers = {
 
     createStaff: async (
       _,
-      { name, email, password, departmentId, roleId, permissionIds },
+      { name, email, password, departmentId, roleId, permissionIds, grants },
       context,
     ) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "staff.create");
-
+        const requested = buildPermissionGrants(permissionIds, grants);
         const normalizedEmail = email.toLowerCase().trim();
 
         const existingStaff = await prisma.staff.findUnique({
@@ -1886,7 +2067,34 @@ export const resolvers = {
           throw new Error("Staff with this email already exists");
         }
 
-        const hashedPassword = await bcrypt.hash(password.trim(), 10);
+        // an approved request stores the hash, never the password
+        let hashedPassword = password;
+        if (!isApplyingChangeRequest(context, "createStaff")) {
+          validatePasswordPolicy(password.trim());
+          hashedPassword = await bcrypt.hash(password.trim(), 10);
+        }
+
+        if (
+          await grantsPrivilege({
+            roleId,
+            permissionIds: requested.map((grant) => grant.permissionId),
+          })
+        ) {
+          await requireApproval(
+            context,
+            "createStaff",
+            {
+              name,
+              email: normalizedEmail,
+              password: hashedPassword,
+              departmentId,
+              roleId,
+              permissionIds,
+              grants,
+            },
+            `Create privileged staff ${normalizedEmail}`,
+          );
+        }
 
         const staff = await prisma.staff.create({
           data: {
@@ -1898,10 +2106,14 @@ export const resolvers = {
             role: { connect: { id: roleId } },
 
             permissions: {
-              create:
-                permissionIds?.map((id) => ({
-                  permission: { connect: { id } },
-                })) || [],
+              create: requested.map(
+                ({ permissionId, effect, validFrom, validUntil }) => ({
+                  permission: { connect: { id: permissionId } },
+                  effect,
+                  validFrom,
+                  validUntil,
+                }),
+              ),
             },
           },
 
@@ -1912,23 +2124,35 @@ export const resolvers = {
           },
         });
 
+        await recordAdminSetPassword(staff.id);
+
         return {
           ...staff,
-          permissions: staff.permissions.map((p) => p.permission),
+          permissions: allowedPermissions(staff.permissions),
+          grants: staff.permissions.map(formatPermissionGrant),
         };
       } catch (error) {
+        if (error instanceof GraphQLError) throw error;
         throw new Error(error.message || "Failed to create staff");
       }
     },
 
     updateStaff: async (
       _,
-      { staffId, name, email, password, departmentId, roleId, permissionIds },
+      {
+        staffId,
+        name,
+        email,
+        password,
+        departmentId,
+        roleId,
+        permissionIds,
+        grants,
+      },
       context,
     ) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "staff.edit");
         const staffExists = await prisma.staff.findUnique({
           where: { id: staffId },
         });
@@ -1947,13 +2171,43 @@ export const resolvers = {
           }
         }
 
+        if (
+          await staffUpdateNeedsApproval(staffExists, {
+            roleId,
+            permissionIds,
+            grants,
+          })
+        ) {
+          // a deferred password reset would sit in the request table
+          if (password) {
+            throw new Error(
+              "Change the password and the role or permissions in separate requests",
+            );
+          }
+
+          await requireApproval(
+            context,
+            "updateStaff",
+            { staffId, name, email, departmentId, roleId, permissionIds, grants },
+            permissionIds || grants
+              ? `Change permissions of staff ${staffExists.email}`
+              : `Move staff ${staffExists.email} to a privileged role`,
+          );
+        }
+
         let hashedPassword;
 
         if (password) {
+          validatePasswordPolicy(password);
           hashedPassword = await bcrypt.hash(password, 10);
         }
 
-        if (permissionIds) {
+        const replaceGrants = Boolean(permissionIds || grants);
+        const requested = replaceGrants
+          ? buildPermissionGrants(permissionIds, grants)
+          : [];
+
+        if (replaceGrants) {
           await prisma.staffPermission.deleteMany({
             where: { staffId },
           });
@@ -1975,11 +2229,16 @@ export const resolvers = {
               role: { connect: { id: roleId } },
             }),
 
-            ...(permissionIds && {
+            ...(replaceGrants && {
               permissions: {
-                create: permissionIds.map((id) => ({
-                  permission: { connect: { id } },
-                })),
+                create: requested.map(
+                  ({ permissionId, effect, validFrom, validUntil }) => ({
+                    permission: { connect: { id: permissionId } },
+                    effect,
+                    validFrom,
+                    validUntil,
+                  }),
+                ),
               },
             }),
           },
@@ -1991,11 +2250,19 @@ export const resolvers = {
           },
         });
 
+        await invalidateStaffPermissions(staffId);
+
+        if (hashedPassword) {
+          await recordAdminSetPassword(staffId, staffExists.password);
+        }
+
         return {
           ...staff,
-          permissions: staff.permissions.map((p) => p.permission),
+          permissions: allowedPermissions(staff.permissions),
+          grants: staff.permissions.map(formatPermissionGrant),
         };
       } catch (error) {
+        if (error instanceof GraphQLError) throw error;
         throw new Error(error.message || "Failed to update staff");
       }
     },
@@ -2003,7 +2270,6 @@ export const resolvers = {
     deleteStaff: async (_, { staffId }, context) => {
       const { prisma } = context;
       try {
-        await checkPermission(context, "staff.delete");
         const staff = await prisma.staff.findUnique({
           where: { id: staffId },
         });
@@ -2029,8 +2295,6 @@ export const resolvers = {
     // dhwani services
 
     createCategory: async (_, { input }, context) => {
-      await checkPermission(context, "categories.create");
-
       const { prisma } = context;
 
       const name = input.name.trim().toLowerCase();
@@ -2051,7 +2315,6 @@ export const resolvers = {
 
     createService: async (_, { input }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "all-services.create");
 
       return prisma.service.create({
         data: {
@@ -2070,8 +2333,6 @@ export const resolvers = {
     deleteService: async (_, { id }, context) => {
       const { prisma } = context;
 
-      await checkPermission(context, "all-services.delete");
-
       const service = await prisma.service.findUnique({
         where: { id },
       });
@@ -2090,8 +2351,6 @@ export const resolvers = {
     updateService: async (_, { id, input }, context) => {
       const { prisma } = context;
 
-      await checkPermission(context, "all-services.update");
-
       const existing = await prisma.service.findUnique({
         where: { id },
       });
@@ -2120,8 +2379,6 @@ export const resolvers = {
 
     // gifts
     createGift: async (_, { input }, context) => {
-      await checkPermission(context, "gifts.create");
-
       return await context.prisma.gift.create({
         data: {
           name: input.name,
@@ -2133,8 +2390,6 @@ export const resolvers = {
     },
 
     updateGift: async (_, { id, input }, context) => {
-      await checkPermission(context, "gifts.update"); // ✅ FIXED
-
       return await context.prisma.gift.update({
         where: { id },
         data: {
@@ -2146,8 +2401,6 @@ export const resolvers = {
       });
     },
     deleteGift: async (_, { id }, context) => {
-      await checkPermission(context, "gifts.delete"); // ✅ FIXED
-
       await context.prisma.gift.delete({
         where: { id },
       });
@@ -2157,8 +2410,6 @@ export const resolvers = {
 
     // Testimonials
     createTestimonial: async (_, { input }, context) => {
-      await checkPermission(context, "testimonials.create");
-
       // optional validation (good for interviews)
       if (input.rating < 1 || input.rating > 5) {
         throw new Error("Rating must be between 1 and 5");
@@ -2176,8 +2427,6 @@ export const resolvers = {
     },
 
     updateTestimonial: async (_, { id, input }, context) => {
-      await checkPermission(context, "testimonials.update");
-
       return await context.prisma.testimonial.update({
         where: { id },
         data: {
@@ -2191,8 +2440,6 @@ export const resolvers = {
     },
 
     deleteTestimonial: async (_, { id }, context) => {
-      await checkPermission(context, "testimonials.delete");
-
       await context.prisma.testimonial.delete({
         where: { id },
       });
@@ -2202,8 +2449,6 @@ export const resolvers = {
 
     // FAQs
     createFaq: async (_, { input }, context) => {
-      await checkPermission(context, "faqs.create");
-
       return context.prisma.faq.create({
         data: {
           question: input.question,
@@ -2213,8 +2458,6 @@ export const resolvers = {
     },
 
     updateFaq: async (_, { id, input }, context) => {
-      await checkPermission(context, "faqs.update");
-
       return context.prisma.faq.update({
         where: { id },
         data: {
@@ -2225,8 +2468,6 @@ export const resolvers = {
     },
 
     deleteFaq: async (_, { id }, context) => {
-      await checkPermission(context, "faqs.delete");
-
       await context.prisma.faq.delete({
         where: { id },
       });
@@ -2237,7 +2478,6 @@ export const resolvers = {
     // banners
 createBanner: async (_, { input }, context) => {
   const { prisma } = context;
-  await checkPermission(context, "banners.create");
 
   return await prisma.banner.create({
     data: {
@@ -2254,7 +2494,6 @@ createBanner: async (_, { input }, context) => {
 
    updateBanner: async (_, { id, input }, context) => {
   const { prisma } = context;
-  await checkPermission(context, "banners.update");
 
   return await prisma.banner.update({
     where: { id },
@@ -2266,7 +2505,6 @@ createBanner: async (_, { input }, context) => {
 
     deleteBanner: async (_, { id }, context) => {
       const { prisma } = context;
-      await checkPermission(context, "banners.delete");
 
       await prisma.banner.delete({
         where: { id },
@@ -2276,3 +2514,6 @@ createBanner: async (_, { input }, context) => {
     },
   },
 };
+
+// every Query/Mutation goes through the @public/@authenticated/@requiresPermission rules in typeDefs
+export const resolvers = applyAuthorization(typeDefs, resolverMap);
@@ -2,6 +2,11 @@
 import { gql } from "graphql-tag";
 
 const typeDefs = gql`
+  directive @public on FIELD_DEFINITION
+  directive @authenticated on FIELD_DEFINITION
+  directive @requiresPermission(name: String!) on FIELD_DEFINITION
+  directive @noImpersonation on FIELD_DEFINITION
+
   scalar Upload
   enum Gender {
     MALE
@@ -142,8 +147,9 @@ const typeDefs = gql`
     profilePic: String
     gender: Gender!
 
-    email: String!
-    contactNo: String!
+    # null unless the caller holds astrologer.contact.read
+    email: String @requiresPermission(name: "astrologer.contact.read")
+    contactNo: String @requiresPermission(name: "astrologer.contact.read")
     experience: Int!
 
     aboutEnglish: String
@@ -152,12 +158,13 @@ const typeDefs = gql`
     skills: [String!]!
     problems: [String!]!
 
-    callChatCharges: Float
-    callChatOfferCharges: Float
-    callChatCommission: Float
-    videocall_charges: Float
-    audiocall_charges: Float
-    audiovideocall_offer_charges: Float
+    # null unless the caller holds astrologer.finance.read (bank details go here too)
+    callChatCharges: Float @requiresPermission(name: "astrologer.finance.read")
+    callChatOfferCharges: Float @requiresPermission(name: "astrologer.finance.read")
+    callChatCommission: Float @requiresPermission(name: "astrologer.finance.read")
+    videocall_charges: Float @requiresPermission(name: "astrologer.finance.read")
+    audiocall_charges: Float @requiresPermission(name: "astrologer.finance.read")
+    audiovideocall_offer_charges: Float @requiresPermission(name: "astrologer.finance.read")
 
     tags: String
     vtags: String
@@ -233,10 +240,160 @@ const typeDefs = gql`
     refreshToken: String!
   }
 
+  # ---------------- AUDIT LOGS ----------------
+  scalar JSON
+
+  enum AuditLogSource {
+    AUTH
+    GRAPHQL
+  }
+
+  input AuditLogFilter {
+    source: AuditLogSource
+    actor: String
+    eventType: String
+    target: ID
+    ip: String
+    correlationId: String
+    from: DateTime
+    to: DateTime
+  }
+
+  type AuditLog {
+    id: ID!
+    source: AuditLogSource!
+    eventType: String!
+    operation: String
+    actor: String
+    target: ID
+    ip: String
+    level: String
+    correlationId: String
+    impersonatedBy: ID
+    details: JSON
+    timestamp: DateTime!
+  }
+
+  type AuditLogPagination {
+    data: [AuditLog!]!
+    totalCount: Int!
+    currentPage: Int!
+    totalPages: Int!
+  }
+
+  type AuditChainReport {
+    collection: String!
+    checked: Int!
+    valid: Boolean!
+    firstBrokenSeq: Int
+    firstBrokenId: ID
+    reason: String
+  }
+
+  # ---------------- CHANGE REQUESTS (four-eyes) ----------------
+  enum ChangeRequestStatus {
+    PENDING
+    APPROVED
+    REJECTED
+    EXPIRED
+    FAILED
+  }
+
+  type ChangeRequest {
+    id: ID!
+    operation: String!
+    summary: String
+    args: JSON
+    status: ChangeRequestStatus!
+    requestedBy: ID!
+    reviewedBy: ID
+    reviewNote: String
+    reviewedAt: DateTime
+    appliedAt: DateTime
+    error: String
+    expiresAt: DateTime!
+    createdAt: DateTime!
+    history: [AuditLog!]!
+  }
+
+  # service-to-service credentials; callers send the key as X-Api-Key
+  type ApiKey {
+    id: ID!
+    name: String!
+    prefix: String!
+    permissions: [String!]!
+    createdBy: String!
+    expiresAt: DateTime!
+    lastUsedAt: DateTime
+    revokedAt: DateTime
+    revokedBy: String
+    active: Boolean!
+    createdAt: DateTime
+  }
+
+  type CreatedApiKey {
+    # shown only once; store it in the calling service's secrets
+    key: String!
+    apiKey: ApiKey!
+  }
+
+  type ChangeRequestPagination {
+    data: [ChangeRequest!]!
+    totalCount: Int!
+    currentPage: Int!
+    totalPages: Int!
+  }
+
+  type StaffSession {
+    id: ID!
+    device: String!
+    ip: String
+    userAgent: String
+    createdAt: String!
+    lastSeenAt: String!
+    current: Boolean!
+  }
+
+  type ImpersonationPayload {
+    accessToken: String!
+    expiresAt: String!
+    subject: Staff!
+  }
+
+  # list and search results mask contact details; revealContact returns them in full
+  enum ContactEntity {
+    USER
+    ASTROLOGER
+  }
+
+  type RevealedContact {
+    entity: ContactEntity!
+    id: ID!
+    email: String
+    # users: mobile, astrologers: contactNo
+    mobile: String
+    countryCode: String
+  }
+
+  # tokens are null while a TOTP challenge is pending
   type AuthPayload {
     user: Staff!
-    accessToken: String!
-    refreshToken: String!
+    accessToken: String
+    refreshToken: String
+    totpRequired: Boolean
+    totpEnrollmentRequired: Boolean
+    challengeToken: String
+    # access token only allows changeMyPassword until this is cleared
+    passwordChangeRequired: Boolean
+  }
+
+  type TotpEnrollment {
+    secret: String!
+    otpauthUri: String!
+  }
+
+  type TotpConfirmation {
+    recoveryCodes: [String!]!
   }
 
   type PaginatedAstrologers {
@@ -417,16 +574,55 @@ const typeDefs = gql`
   }
 
   #*************************Role  ***********************#
+  # Per permission the first matching level wins:
+  #   staff DENY > staff ALLOW > role DENY > role ALLOW
+  # (role = the staff member's role and the roles it inherits from)
+  enum GrantEffect {
+    ALLOW
+    DENY
+  }
+
+  # time-bound access; open-ended when validFrom / validUntil are null
+  input PermissionGrantInput {
+    permissionId: ID!
+    effect: GrantEffect = ALLOW
+    validFrom: DateTime
+    validUntil: DateTime
+  }
+
+  type PermissionGrant {
+    permission: Permission!
+    effect: GrantEffect!
+    validFrom: DateTime
+    validUntil: DateTime
+    active: Boolean!
+  }
+
   type Role {
     id: ID!
     name: String!
     slug: String!
     description: String
     isActive: Boolean
+    requireTotp: Boolean
+    parentId: ID
     permissions: [Permission!]
+    grants: [PermissionGrant!]
     createdAt: DateTime
     updatedAt: DateTime
   }
+
+  # role hierarchy; permissions / denied = the role's own grants (children inherit them)
+  type RoleNode {
+    id: ID!
+    name: String!
+    slug: String!
+    isActive: Boolean
+    parentId: ID
+    permissions: [Permission!]!
+    denied: [Permission!]!
+    children: [RoleNode!]!
+  }
   type RolePagination {
     data: [Role!]!
     totalCount: Int!
@@ -459,6 +655,8 @@ const typeDefs = gql`
     slug: String!
     description: String
     isActive: Boolean
+    # which records members see, e.g. { "astrologer": { "approvalStatus": ["PENDING"], "state": ["Kerala"] } }
+    scopes: JSON
     createdAt: DateTime
     updatedAt: DateTime
   }
@@ -478,6 +676,7 @@ const typeDefs = gql`
     department: Department
     role: Role
     permissions: [Permission!]
+    grants: [PermissionGrant!]
     isActive: Boolean
   }
   type StaffPagination {
@@ -493,6 +692,20 @@ const typeDefs = gql`
     name: String!
     slug: String!
     permissions: [String!]!
+    # fields of this module that come back null for the caller
+    restrictedFields: [RestrictedField!]!
+  }
+
+  type RestrictedField {
+    field: String!
+    permission: String!
+  }
+
+  type EffectivePermissions {
+    staffId: ID!
+    superAdmin: Boolean!
+    permissions: [String!]!
+    denied: [String!]!
   }
 
   type DeleteResponse {
@@ -637,62 +850,69 @@ input BannerInput {
 
   #-----------------------------END Wallet MANAGEMENT-----------------#
   type Query {
-  getBanners: [Banner]
+  getBanners: [Banner] @requiresPermission(name: "banners.read")
 
-    faqs: [Faq!]!
-    faq(id: ID!): Faq
+    faqs: [Faq!]! @requiresPermission(name: "faqs.read")
+    faq(id: ID!): Faq @requiresPermission(name: "faqs.read")
 
-    testimonials: [Testimonial!]!
-    testimonial(id: ID!): Testimonial
+    testimonials: [Testimonial!]! @requiresPermission(name: "testimonials.read")
+    testimonial(id: ID!): Testimonial @requiresPermission(name: "testimonials.read")
 
-    getGifts: [Gift]
+    getGifts: [Gift] @requiresPermission(name: "gifts.read")
 
-    getServices: [Service]
-    getCategories: [Category]
+    getServices: [Service] @requiresPermission(name: "all-services.read")
+    getCategories: [Category] @requiresPermission(name: "categories.read")
 
-    getCoupons: [Coupon]
-    getSections: [String!]!
-    getModulesPaginated(page: Int, limit: Int): ModulePagination!
-    getModulesBySection(section: String!): [Module!]!
-    getMyAccess: [ModuleAccess!]!
-    getUsersDetails(page: Int, limit: Int): PaginatedUsers!
-    getUsersListBySearch(searchInput: UserSearchInput!): UserList!
+    getCoupons: [Coupon] @requiresPermission(name: "coupons.read")
+    getSections: [String!]! @authenticated
+    getModulesPaginated(page: Int, limit: Int): ModulePagination! @requiresPermission(name: "modules.read")
+    getModulesBySection(section: String!): [Module!]! @authenticated
+    getMyAccess: [ModuleAccess!]! @authenticated
+    myEffectivePermissions: EffectivePermissions! @authenticated
+    mySessions: [StaffSession!]! @authenticated
+    auditLogs(filter: AuditLogFilter, page: Int = 1, limit: Int = 20): AuditLogPagination! @requiresPermission(name: "audit.read")
+    verifyAuditChain(from: DateTime, to: DateTime): [AuditChainReport!]! @requiresPermission(name: "audit.verify")
+    changeRequests(status: ChangeRequestStatus, page: Int = 1, limit: Int = 20): ChangeRequestPagination! @authenticated
+    apiKeys(includeRevoked: Boolean = false): [ApiKey!]! @requiresPermission(name: "apikeys.read")
+    getUsersDetails(page: Int, limit: Int): PaginatedUsers! @requiresPermission(name: "users.read")
+    getUsersListBySearch(searchInput: UserSearchInput!): UserList! @requiresPermission(name: "users.read")
 
-    getPendingAstrologers(page: Int, limit: Int): PaginatedAstrologers!
+    getPendingAstrologers(page: Int, limit: Int): PaginatedAstrologers! @requiresPermission(name: "astrologer.read")
 
     getAstrologerInterviews(
       astrologerId: String!
       page: Int
       limit: Int
-    ): PaginatedInterviews!
+    ): PaginatedInterviews! @requiresPermission(name: "astrologer.read")
 
     getAstrologerDocuments(
       astrologerId: String!
       page: Int
       limit: Int
-    ): PaginatedDocuments!
+    ): PaginatedDocuments! @requiresPermission(name: "astrologer.read")
 
     getAstrologerListBySearch(
       searchInput: AstrologerSearchInput!
-    ): AstrologerList!
+    ): AstrologerList! @requiresPermission(name: "astrologer.read")
 
-    getRegisteredAstrologers(page: Int, limit: Int): [Astrologer!]!
-    getApprovedAstrologers(page: Int, limit: Int): PaginatedAstrologers!
+    getRegisteredAstrologers(page: Int, limit: Int): [Astrologer!]! @requiresPermission(name: "astrologer.read")
+    getApprovedAstrologers(page: Int, limit: Int): PaginatedAstrologers! @requiresPermission(name: "astrologer.read")
 
-    getAdmins(page: Int = 1, limit: Int = 10): AdminPagination!
+    getAdmins(page: Int = 1, limit: Int = 10): AdminPagination! @requiresPermission(name: "admins.read")
 
-    getRoles(page: Int = 1, limit: Int = 10): RolePagination!
+    getRoles(page: Int = 1, limit: Int = 10): RolePagination! @requiresPermission(name: "roles.read")
+    roleTree: [RoleNode!]! @requiresPermission(name: "roles.read")
 
-    getPermissions(page: Int = 1, limit: Int = 10): PermissionPagination!
+    getPermissions(page: Int = 1, limit: Int = 10): PermissionPagination! @requiresPermission(name: "permissions.read")
 
-    getDepartments(page: Int = 1, limit: Int = 10): DepartmentPagination!
+    getDepartments(page: Int = 1, limit: Int = 10): DepartmentPagination! @requiresPermission(name: "departments.read")
 
-    getStaff(page: Int = 1, limit: Int = 10): StaffPagination!
+    getStaff(page: Int = 1, limit: Int = 10): StaffPagination! @requiresPermission(name: "staff.read")
 
-    getRechargePacks: [RechargePack!]!
+    getRechargePacks: [RechargePack!]! @requiresPermission(name: "walletpackages.read")
 
-    getWallets: [Wallet!]!
-    getUserWallet(userId: ID!): UserWallet
+    getWallets: [Wallet!]! @requiresPermission(name: "wallets.read")
+    getUserWallet(userId: ID!): UserWallet @requiresPermission(name: "wallets.read")
   }
   input UpdateAstrologerInput {
     name: String
@@ -717,53 +937,86 @@ input BannerInput {
   }
 
   type Mutation {
-   createBanner(input: BannerInput!): Banner
-   updateBanner(id: ID!, input: BannerInput!): Banner
-   deleteBanner(id: ID!): Boolean
-
-    createFaq(input: CreateFaqInput!): Faq!
-    updateFaq(id: ID!, input: UpdateFaqInput!): Faq!
-    deleteFaq(id: ID!): String!
-
-    createTestimonial(input: CreateTestimonialInput!): Testimonial!
-    updateTestimonial(id: ID!, input: UpdateTestimonialInput!): Testimonial!
-    deleteTestimonial(id: ID!): String!
-
-    createGift(input: GiftInput!): Gift
-    deleteGift(id: ID!): Boolean
-    updateGift(id: ID!, input: GiftInput!): Gift
-
-    createService(input: CreateServiceInput!): Service
-    updateService(id: ID!, input: CreateServiceInput!): Service
-    deleteService(id: ID!): Boolean
-    createCategory(input: CreateCategoryInput!): Category
-
-    addAstrologer(data: AddAstrologerInput!): AddAstrologerResponse!
-    loginStaff(email: String!, password: String!): AuthPayload!
-    logoutAdmin: String!
-    updateUser(userId: String!, data: UpdateUserInput!): User!
-    deleteUser(userId: String!): Boolean!
+   createBanner(input: BannerInput!): Banner @requiresPermission(name: "banners.create")
+   updateBanner(id: ID!, input: BannerInput!): Banner @requiresPermission(name: "banners.update")
+   deleteBanner(id: ID!): Boolean @requiresPermission(name: "banners.delete")
+
+    createFaq(input: CreateFaqInput!): Faq! @requiresPermission(name: "faqs.create")
+    updateFaq(id: ID!, input: UpdateFaqInput!): Faq! @requiresPermission(name: "faqs.update")
+    deleteFaq(id: ID!): String! @requiresPermission(name: "faqs.delete")
+
+    createTestimonial(input: CreateTestimonialInput!): Testimonial! @requiresPermission(name: "testimonials.create")
+    updateTestimonial(id: ID!, input: UpdateTestimonialInput!): Testimonial! @requiresPermission(name: "testimonials.update")
+    deleteTestimonial(id: ID!): String! @requiresPermission(name: "testimonials.delete")
+
+    createGift(input: GiftInput!): Gift @requiresPermission(name: "gifts.create")
+    deleteGift(id: ID!): Boolean @requiresPermission(name: "gifts.delete")
+    updateGift(id: ID!, input: GiftInput!): Gift @requiresPermission(name: "gifts.update")
+
+    createService(input: CreateServiceInput!): Service @requiresPermission(name: "all-services.create")
+    updateService(id: ID!, input: CreateServiceInput!): Service @requiresPermission(name: "all-services.update")
+    deleteService(id: ID!): Boolean @requiresPermission(name: "all-services.delete")
+    createCategory(input: CreateCategoryInput!): Category @requiresPermission(name: "categories.create")
+
+    addAstrologer(data: AddAstrologerInput!): AddAstrologerResponse! @requiresPermission(name: "astrologer.create")
+    loginStaff(email: String!, password: String!, device: String): AuthPayload! @public
+    verifyLoginTotp(
+      challengeToken: String!
+      code: String!
+      device: String
+    ): AuthPayload! @public
+    refreshStaffToken(refreshToken: String!): AuthPayload! @public
+    enrollTotp(challengeToken: String): TotpEnrollment! @public @noImpersonation
+    confirmTotp(code: String!, challengeToken: String): TotpConfirmation! @public @noImpersonation
+    setRoleTotpRequirement(roleId: ID!, required: Boolean!): Role! @requiresPermission(name: "security.manage") @noImpersonation
+    logoutAdmin: String! @authenticated
+    impersonateStaff(staffId: ID!, reason: String!): ImpersonationPayload! @authenticated @noImpersonation
+    # needs users.contact.read / astrologer.contact.read depending on the entity
+    revealContact(entity: ContactEntity!, id: ID!, reason: String!): RevealedContact! @authenticated
+    # expiresAt defaults to 90 days; keys can't hold privileged (staff/roles/...) permissions
+    createApiKey(name: String!, permissions: [String!]!, expiresAt: DateTime): CreatedApiKey! @requiresPermission(name: "apikeys.create") @noImpersonation
+    revokeApiKey(id: ID!): ApiKey! @requiresPermission(name: "apikeys.delete") @noImpersonation
+    approveChangeRequest(id: ID!, note: String): ChangeRequest! @authenticated @noImpersonation
+    rejectChangeRequest(id: ID!, note: String): ChangeRequest! @authenticated @noImpersonation
+    changeMyPassword(
+      currentPassword: String!
+      newPassword: String!
+      device: String
+    ): AuthPayload! @authenticated @noImpersonation
+    requestStaffPasswordReset(email: String!): MessageResponse! @public
+    resetStaffPassword(
+      email: String!
+      otp: String!
+      newPassword: String!
+    ): MessageResponse! @public
+    revokeSession(sessionId: ID!): Boolean! @authenticated @noImpersonation
+    logoutAllSessions: Boolean! @authenticated @noImpersonation
+    revokeStaffSessions(staffId: ID!): Boolean! @requiresPermission(name: "staff.update") @noImpersonation
+    unlockStaff(staffId: ID!): Boolean! @requiresPermission(name: "staff.update") @noImpersonation
+    updateUser(userId: String!, data: UpdateUserInput!): User! @requiresPermission(name: "users.update")
+    deleteUser(userId: String!): Boolean! @requiresPermission(name: "users.delete")
 
     createPermission(
       name: String!
       moduleIds: [ID!]!
       type: String!
-    ): Permission!
+    ): Permission! @requiresPermission(name: "permissions.create")
 
     updatePermission(
       permissionId: ID!
       name: String
       moduleIds: [ID!]
-    ): Permission!
+    ): Permission! @requiresPermission(name: "permissions.update")
 
-    deletePermission(permissionId: ID!): Boolean!
+    deletePermission(permissionId: ID!): Boolean! @requiresPermission(name: "permissions.delete")
 
     createRole(
       name: String!
       slug: String!
       description: String
       permissionIds: [ID!]
-    ): Role!
+      parentId: ID
+    ): Role! @requiresPermission(name: "roles.create")
 
     updateRole(
       roleId: String!
@@ -771,11 +1024,16 @@ input BannerInput {
       slug: String
       description: String
       isActive: Boolean
-    ): Role
+      parentId: ID
+    ): Role @requiresPermission(name: "roles.update")
 
-    deleteRole(roleId: ID!): DeleteResponse!
+    deleteRole(roleId: ID!): DeleteResponse! @requiresPermission(name: "roles.delete") @noImpersonation
 
-    assignPermissionsToRole(roleId: ID!, permissionIds: [ID!]!): Role!
+    assignPermissionsToRole(
+      roleId: ID!
+      permissionIds: [ID!]!
+      grants: [PermissionGrantInput!]
+    ): Role! @requiresPermission(name: "roles.update") @noImpersonation
 
     createAdmin(
       name: String!
@@ -783,51 +1041,51 @@ input BannerInput {
       phoneNo: String!
       password: String!
       roleId: ID!
-    ): Admin!
+    ): Admin! @requiresPermission(name: "admins.create") @noImpersonation
 
     updateAdmin(
       adminId: String!
       name: String
       email: String
       roleId: String
-    ): Admin
+    ): Admin @requiresPermission(name: "admins.update") @noImpersonation
 
-    deleteAdmin(adminId: String!): Boolean!
+    deleteAdmin(adminId: String!): Boolean! @requiresPermission(name: "admins.delete") @noImpersonation
 
     updateAstrologer(
       astrologerId: ID!
       data: UpdateAstrologerInput!
-    ): Astrologer!
+    ): Astrologer! @requiresPermission(name: "astrologer.update")
 
-    deleteAstrologer(astrologerId: ID!): Boolean!
+    deleteAstrologer(astrologerId: ID!): Boolean! @requiresPermission(name: "astrologer.delete")
 
     scheduleInterview(
       astrologerId: ID!
       roundNumber: Int!
       interviewerName: String!
       scheduledAt: String!
-    ): Interview
+    ): Interview @requiresPermission(name: "astrologer.update")
 
     verifyDocument(
       documentId: ID!
       status: DocumentStatus!
       remarks: String
-    ): AstrologerDocument
+    ): AstrologerDocument @requiresPermission(name: "astrologer.update")
 
     rejectAstrologer(
       astrologerId: ID!
       stage: String!
       reason: String!
-    ): Boolean
+    ): Boolean @requiresPermission(name: "astrologer.update")
 
-    approveAstrologer(astrologerId: ID!): Boolean
-    createRechargePack(input: RechargePackInput!): RechargePack!
-    updateRechargePack(id: ID!, input: UpdateRechargePackInput!): RechargePack!
-    deleteRechargePack(id: ID!): String!
+    approveAstrologer(astrologerId: ID!): Boolean @requiresPermission(name: "astrologer.update")
+    createRechargePack(input: RechargePackInput!): RechargePack! @requiresPermission(name: "walletpackages.create")
+    updateRechargePack(id: ID!, input: UpdateRechargePackInput!): RechargePack! @requiresPermission(name: "walletpackages.update")
+    deleteRechargePack(id: ID!): String! @requiresPermission(name: "walletpackages.delete")
 
-    createCoupon(input: CreateCouponInput!): Coupon
-    deleteCoupon(id: ID!): Boolean
-    updateCouponStatus(id: ID!, status: String!): Coupon
+    createCoupon(input: CreateCouponInput!): Coupon @requiresPermission(name: "coupons.create")
+    deleteCoupon(id: ID!): Boolean @requiresPermission(name: "coupons.delete")
+    updateCouponStatus(id: ID!, status: String!): Coupon @requiresPermission(name: "coupons.update")
 
     #------------------------------START module -----------------#
     createModule(
@@ -835,7 +1093,7 @@ input BannerInput {
       slug: String!
       description: String
       section: String!
-    ): Module!
+    ): Module! @requiresPermission(name: "modules.create")
     updateModule(
       id: ID!
       name: String
@@ -843,20 +1101,21 @@ input BannerInput {
       description: String
       section: String
       isActive: Boolean
-    ): Module!
+    ): Module! @requiresPermission(name: "modules.update")
 
-    deleteModule(id: ID!): Boolean!
+    deleteModule(id: ID!): Boolean! @requiresPermission(name: "modules.delete")
 
-    createDepartment(name: String!, description: String): Department!
+    createDepartment(name: String!, description: String, scopes: JSON): Department! @requiresPermission(name: "departments.create")
 
     updateDepartment(
       departmentId: ID!
       name: String
       description: String
       isActive: Boolean
-    ): Department!
+      scopes: JSON
+    ): Department! @requiresPermission(name: "departments.update")
 
-    deleteDepartment(departmentId: ID!): Boolean!
+    deleteDepartment(departmentId: ID!): Boolean! @requiresPermission(name: "departments.delete")
 
     createStaff(
       name: String!
@@ -865,18 +1124,21 @@ input BannerInput {
       departmentId: ID!
       roleId: ID!
       permissionIds: [ID!]!
-    ): Staff!
+      grants: [PermissionGrantInput!]
+    ): Staff! @requiresPermission(name: "staff.create") @noImpersonation
 
     updateStaff(
       staffId: ID!
       name: String
       email: String
+      password: String
       departmentId: ID
       roleId: ID
       permissionIds: [ID!]
-    ): Staff!
+      grants: [PermissionGrantInput!]
+    ): Staff! @requiresPermission(name: "staff.update") @noImpersonation
 
-    deleteStaff(staffId: ID!): Boolean!
+    deleteStaff(staffId: ID!): Boolean! @requiresPermission(name: "staff.delete") @noImpersonation
   }
 `;
 
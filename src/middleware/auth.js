@@ -1,5 +1,5 @@
 // src/middleware/auth.js
-import jwt from "jsonwebtoken";
+import { verifyAccessToken } from "../config/jwt.js";
 import cookie from "cookie";
 
 const auth = (req) => {
@@ -8,7 +8,7 @@ const auth = (req) => {
   if (!token) return null;
 
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return verifyAccessToken(token);
   } catch {
     return null;
   }
@@ -0,0 +1,23 @@
+// src/middleware/correlationId.js
+import {
+  newCorrelationId,
+  runWithCorrelationId,
+} from "../services/logService.js";
+
+const HEADER = "x-request-id";
+
+// reuse the caller's id (gateway / other service) so logs line up across hops
+const correlationId = (req, res, next) => {
+  const incoming = req.headers[HEADER];
+  const id =
+    typeof incoming === "string" && /^[\w.-]{1,128}$/.test(incoming)
+      ? incoming
+      : newCorrelationId();
+
+  req.correlationId = id;
+  res.setHeader("X-Request-Id", id);
+
+  runWithCorrelationId(id, next);
+};
+
+export default correlationId;
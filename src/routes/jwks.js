@@ -0,0 +1,14 @@
+import express from "express";
+import { getJwks } from "../config/jwtKeys.js";
+
+const router = express.Router();
+
+// public keys for verifying staff access tokens (current + still-valid retired).
+// The same keys sign audit bundles, so verifiers must also require typ "JWT"
+// and type "staff"; a bundle has typ "audit-bundle+jwt" and aud "audit-bundle".
+router.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
+
+export default router;
@@ -11,25 +11,60 @@ import { PrismaClient } from "@prisma/client";
 import typeDefs from "./graphql/typeDefs.js";
 import { resolvers } from "./graphql/resolvers.js";
 import rateLimiter from "./middleware/rateLimiter.js";
-import { verifyAccessToken } from "./config/jwt.js";
+import correlationId from "./middleware/correlationId.js";
+import { authenticateAccessToken } from "./services/tokenService.js";
 import uploadRoutes from "./routes/upload.js";
+import jwksRoutes from "./routes/jwks.js";
+import { mutationAuditPlugin } from "./graphql/plugins/mutationAudit.js";
+import { fieldAccessPlugin } from "./graphql/plugins/fieldAccess.js";
+import { reportUnannotatedFields } from "./graphql/authorization.js";
+import { ensureAuditLogIndexes } from "./services/auditLogService.js";
+import { assertAuditChainKey } from "./services/auditChainService.js";
+import { startGrantSweep } from "./services/grantExpiryService.js";
+import { reportPermissionDrift } from "./services/permissionCatalogService.js";
+import {
+  API_KEY_HEADER,
+  authenticateApiKey,
+} from "./services/apiKeyService.js";
+import { logger, setImpersonation } from "./services/logService.js";
+import { installConsoleRedaction } from "./utils/redact.js";
+
+// 🙈 mask secrets in every console line, including third-party ones
+installConsoleRedaction();
 
 const prisma = new PrismaClient();
 
 async function startServer() {
+  // 🔗 audit records are HMAC-chained; refuse to start without the key
+  assertAuditChainKey();
+
   const app = express();
 
+  // 🌐 behind a load balancer req.ip is the balancer's own address, and the
+  // login throttle would lock every client out together. TRUST_PROXY is a hop
+  // count or a list of proxy addresses/subnets (express "trust proxy" syntax).
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set(
+      "trust proxy",
+      /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy,
+    );
+  }
+
   app.use(
     cors({
       origin: "http://localhost:7002",
       credentials: true,
       methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+      exposedHeaders: ["X-Request-Id"],
     })
   );
   app.options("*", cors());
   app.use(express.json());
   app.use(cookieParser());
+  // 🧵 after the body parsers: their stream callbacks would drop the async context
+  app.use(correlationId);
   app.use(rateLimiter);
 
   // ✅ static folder
@@ -38,14 +73,37 @@ async function startServer() {
   // ✅ REST upload
   app.use("/api", uploadRoutes);
 
+  // ✅ JWKS for services verifying our access tokens
+  app.use(jwksRoutes);
+
   const server = new ApolloServer({
     typeDefs,
     resolvers,
-    plugins: [ApolloServerPluginLandingPageLocalDefault()],
+    plugins: [
+      ApolloServerPluginLandingPageLocalDefault(),
+      mutationAuditPlugin(),
+      fieldAccessPlugin(),
+    ],
   });
 
+  // default deny: list operations nobody can call yet
+  reportUnannotatedFields(typeDefs);
+
   await server.start();
 
+  // 📇 audit log indexes (idempotent; a Mongo outage shouldn't block startup)
+  ensureAuditLogIndexes().catch((err) =>
+    logger.error("AUDIT_INDEXES_FAILED", { error: err.message }),
+  );
+
+  // ⏳ drop expired time-bound permission grants
+  startGrantSweep();
+
+  // 📇 permissions the code checks vs. the Permission table
+  reportPermissionDrift().catch((err) =>
+    logger.error("PERMISSION_DRIFT_CHECK_FAILED", { error: err.message }),
+  );
+
   // 🔥 MUST be before /graphql
 
   app.use(
@@ -53,27 +111,51 @@ async function startServer() {
     expressMiddleware(server, {
       context: async ({ req, res }) => {
         let user = null;
+        let token = null;
+        let apiKey = null;
 
         const authHeader = req.headers["authorization"];
 
         if (authHeader?.startsWith("Bearer ")) {
-          const token = authHeader.replace("Bearer ", "");
-
           try {
-            const decoded = verifyAccessToken(token);
+            // 🚫 null for bad, logged-out and revoked-session tokens
+            const decoded = await authenticateAccessToken(
+              authHeader.replace("Bearer ", ""),
+            );
 
-            if (decoded?.type === "staff") {
+            if (decoded) {
               user = await prisma.staff.findUnique({
                 where: { id: decoded.id },
                 include: { role: true },
               });
+              token = decoded;
+
+              // 🕵️ user is the subject; the actor is stamped on every log entry
+              if (user && decoded.actorId) {
+                setImpersonation({
+                  actorId: decoded.actorId,
+                  subjectId: decoded.subjectId,
+                });
+              }
             }
           } catch (err) {
             user = null;
+            token = null;
+          }
+        } else if (req.headers[API_KEY_HEADER]) {
+          // 🔑 service-to-service: permissions come from the key, there is no user
+          try {
+            apiKey = await authenticateApiKey(req.headers[API_KEY_HEADER], {
+              ip: req.ip,
+            });
+          } catch (err) {
+            // a lookup failure leaves the caller anonymous, like a bad token
+            logger.error("API_KEY_LOOKUP_FAILED", { error: err.message });
+            apiKey = null;
           }
         }
 
-        return { req, res, user, prisma };
+        return { req, res, user, token, apiKey, prisma };
       },
     })
   );
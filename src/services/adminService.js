@@ -2,23 +2,7 @@
 import prisma from "../config/prisma.js";
 import bcrypt from "bcryptjs";
 import { generateAccessToken, generateRefreshToken } from "../config/jwt.js";
-import { connectMongo, getDb } from "../config/mongo.js";
-
-async function logEvent(type, identifier, details = {}) {
-  try {
-    const db = await connectMongo();
-    const collection = db.collection("adminAuthLogs");
-
-    await collection.insertOne({
-      type,
-      identifier, // email or adminId
-      details,
-      timestamp: new Date(),
-    });
-  } catch (error) {
-    console.error("Failed to log event:", error);
-  }
-}
+import { logAuthEvent } from "./logService.js";
 
 // ================== ADMIN LOGIN ==================
 export const adminLoginService = async (email, password) => {
@@ -31,7 +15,7 @@ export const adminLoginService = async (email, password) => {
     });
 
     if (!admin || !admin.isActive) {
-      await logEvent("LOGIN_FAILED", email, {
+      logAuthEvent("LOGIN_FAILED", email, {
         reason: "Admin not found or inactive",
       });
       throw new Error("Admin not found or inactive");
@@ -39,7 +23,7 @@ export const adminLoginService = async (email, password) => {
 
     const valid = await bcrypt.compare(password, admin.password);
     if (!valid) {
-      await logEvent("LOGIN_FAILED", email, { reason: "Invalid credentials" });
+      logAuthEvent("LOGIN_FAILED", email, { reason: "Invalid credentials" });
       throw new Error("Invalid credentials");
     }
 
@@ -51,7 +35,7 @@ export const adminLoginService = async (email, password) => {
 
     const refreshToken = generateRefreshToken({ id: admin.id });
 
-    await logEvent("LOGIN_SUCCESS", email, {
+    logAuthEvent("LOGIN_SUCCESS", email, {
       adminId: admin.id,
       role: admin.role.name,
     });
@@ -79,14 +63,14 @@ export const createRoleService = async (
       },
     });
 
-    await logEvent("ROLE_CREATED", name, {
+    logAuthEvent("ROLE_CREATED", name, {
       roleId: role.id,
       permissionCount: permissionIds.length,
     });
 
     return role;
   } catch (error) {
-    await logEvent("ROLE_CREATION_FAILED", name, { error: error.message });
+    logAuthEvent("ROLE_CREATION_FAILED", name, { error: error.message });
     throw new Error("Failed to create role");
   }
 };
@@ -113,7 +97,7 @@ export const createAdminService = async ({
       include: { role: true },
     });
 
-    await logEvent("ADMIN_CREATED", email, {
+    logAuthEvent("ADMIN_CREATED", email, {
       adminId: admin.id,
       roleId,
     });
@@ -121,13 +105,13 @@ export const createAdminService = async ({
     return admin;
   } catch (error) {
     if (error.code === "P2002") {
-      await logEvent("ADMIN_CREATION_FAILED", email, {
+      logAuthEvent("ADMIN_CREATION_FAILED", email, {
         reason: "Email already exists",
       });
       throw new Error("Email already exists");
     }
 
-    await logEvent("ADMIN_CREATION_FAILED", email, { error: error.message });
+    logAuthEvent("ADMIN_CREATION_FAILED", email, { error: error.message });
     throw new Error("Failed to create admin");
   }
 };
@@ -160,7 +144,7 @@ export const addAstrologerService = async ({
       },
     });
 
-    await logEvent("ASTROLOGER_ADDED", email, {
+    logAuthEvent("ASTROLOGER_ADDED", email, {
       astrologerId: astrologer.id,
       experience,
     });
@@ -168,13 +152,13 @@ export const addAstrologerService = async ({
     return astrologer;
   } catch (error) {
     if (error.code === "P2002") {
-      await logEvent("ASTROLOGER_ADD_FAILED", email, {
+      logAuthEvent("ASTROLOGER_ADD_FAILED", email, {
         reason: "Email already exists",
       });
       throw new Error("Astrologer with this email already exists");
     }
 
-    await logEvent("ASTROLOGER_ADD_FAILED", email, { error: error.message });
+    logAuthEvent("ASTROLOGER_ADD_FAILED", email, { error: error.message });
     throw new Error("Failed to add astrologer");
   }
 };
@@ -0,0 +1,221 @@
+// services/apiKeyService.js
+// API keys let our other services call the admin API without a staff login.
+// A key is "dak_<prefix>_<secret>": the prefix finds the row, only a sha256 of
+// the whole key is stored, and the key itself is shown once at creation.
+// A key holds exactly the permissions it was issued with — never privileged
+// ones (staff, roles, API keys, ...), so a leaked key can't grant itself more.
+// It also acts on its creator's behalf: every call re-checks the creator, so a
+// key stops working for whatever the creator has lost (or entirely once they
+// are deactivated) and carries the creator's department data scopes.
+import crypto from "crypto";
+import prisma from "../config/prisma.js";
+import { PERMISSION_CATALOG } from "../graphql/permissionCatalog.js";
+import { PRIVILEGED_PERMISSION } from "./changeRequestService.js";
+import {
+  checkPermission,
+  getEffectivePermissions,
+} from "./permissionService.js";
+import { logAuthEvent, logger } from "./logService.js";
+
+export const API_KEY_HEADER = "x-api-key";
+
+const DEFAULT_TTL_DAYS = Number(process.env.API_KEY_DEFAULT_TTL_DAYS || 90);
+const MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is for spotting dead keys, not an access log; don't write it on every call
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const KEY_FORMAT = /^dak_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+export const formatApiKey = ({ keyHash, ...apiKey }, now = new Date()) => ({
+  ...apiKey,
+  active: !apiKey.revokedAt && apiKey.expiresAt > now,
+});
+
+// ================== CREATE ==================
+export const createApiKeyService = async (
+  context,
+  { name, permissions, expiresAt },
+) => {
+  // keys can't mint keys
+  if (!context.user?.id) {
+    throw new Error("Unauthorized");
+  }
+
+  if (!name?.trim()) {
+    throw new Error("A name is required");
+  }
+
+  const requested = [...new Set(permissions || [])];
+
+  if (!requested.length) {
+    throw new Error("At least one permission is required");
+  }
+
+  const known = new Set(PERMISSION_CATALOG.map((entry) => entry.name));
+  const unknown = requested.filter((permission) => !known.has(permission));
+  if (unknown.length) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  const privileged = requested.filter((permission) =>
+    PRIVILEGED_PERMISSION.test(permission),
+  );
+  if (privileged.length) {
+    throw new Error(
+      `API keys cannot hold privileged permissions: ${privileged.join(", ")}`,
+    );
+  }
+
+  // no handing out access you don't have
+  for (const permission of requested) {
+    await checkPermission(context, permission);
+  }
+
+  const now = Date.now();
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(now + DEFAULT_TTL_DAYS * DAY_MS);
+
+  if (!(expiry.getTime() > now)) {
+    throw new Error("expiresAt must be in the future");
+  }
+
+  if (expiry.getTime() > now + MAX_TTL_DAYS * DAY_MS) {
+    throw new Error(`API keys can be valid for at most ${MAX_TTL_DAYS} days`);
+  }
+
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const key = `dak_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name: name.trim(),
+      prefix,
+      keyHash: hashKey(key),
+      permissions: requested,
+      createdBy: context.user.id,
+      expiresAt: expiry,
+    },
+  });
+
+  logAuthEvent("API_KEY_CREATED", context.user.id, {
+    entity: "apiKey",
+    entityId: apiKey.id,
+    name: apiKey.name,
+    prefix,
+    permissions: requested,
+    expiresAt: expiry,
+  });
+
+  return { key, apiKey: formatApiKey(apiKey) };
+};
+
+// ================== LIST ==================
+export const listApiKeysService = async ({ includeRevoked = false } = {}) => {
+  const apiKeys = await prisma.apiKey.findMany({
+    where: includeRevoked ? {} : { revokedAt: null },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return apiKeys.map((apiKey) => formatApiKey(apiKey));
+};
+
+// ================== REVOKE ==================
+export const revokeApiKeyService = async (context, id) => {
+  const existing = await prisma.apiKey.findUnique({ where: { id } });
+
+  if (!existing) {
+    throw new Error("API key not found");
+  }
+
+  if (existing.revokedAt) {
+    throw new Error("API key already revoked");
+  }
+
+  const apiKey = await prisma.apiKey.update({
+    where: { id },
+    data: { revokedAt: new Date(), revokedBy: context.user.id },
+  });
+
+  logAuthEvent("API_KEY_REVOKED", context.user.id, {
+    entity: "apiKey",
+    entityId: id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+  });
+
+  return formatApiKey(apiKey);
+};
+
+// ================== AUTHENTICATE ==================
+// { id, name, createdBy, permissions, scopes } for a live key, otherwise null
+export const authenticateApiKey = async (key, { ip } = {}) => {
+  const reject = (reason, prefix = null) => {
+    logAuthEvent("API_KEY_REJECTED", null, { reason, prefix, ip: ip || null });
+    return null;
+  };
+
+  const match = KEY_FORMAT.exec(String(key || "").trim());
+  if (!match) return reject("MALFORMED");
+
+  const apiKey = await prisma.apiKey.findUnique({ where: { prefix: match[1] } });
+
+  const expected = Buffer.from(apiKey?.keyHash || "", "hex");
+  const given = Buffer.from(hashKey(match[0]), "hex");
+
+  if (
+    !apiKey ||
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return reject("UNKNOWN_KEY", match[1]);
+  }
+
+  if (apiKey.revokedAt) return reject("REVOKED", apiKey.prefix);
+
+  const now = new Date();
+  if (apiKey.expiresAt <= now) return reject("EXPIRED", apiKey.prefix);
+
+  const creator = await prisma.staff.findUnique({
+    where: { id: apiKey.createdBy },
+    select: { id: true, isActive: true },
+  });
+  if (!creator || creator.isActive === false) {
+    return reject("CREATOR_INACTIVE", apiKey.prefix);
+  }
+
+  // cached and invalidated like any staff member's permissions
+  const effective = await getEffectivePermissions(creator.id);
+  const permissions = effective.superAdmin
+    ? apiKey.permissions
+    : apiKey.permissions.filter((permission) =>
+        effective.permissions.includes(permission),
+      );
+
+  if (
+    !apiKey.lastUsedAt ||
+    now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS
+  ) {
+    // best effort: a failed timestamp write shouldn't fail the call
+    prisma.apiKey
+      .update({ where: { id: apiKey.id }, data: { lastUsedAt: now } })
+      .catch((error) =>
+        logger.error("API_KEY_TOUCH_FAILED", {
+          prefix: apiKey.prefix,
+          error: error.message,
+        }),
+      );
+  }
+
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    createdBy: apiKey.createdBy,
+    permissions,
+    scopes: effective.superAdmin ? null : effective.scopes || null,
+  };
+};
@@ -0,0 +1,152 @@
+// services/auditChainService.js
+// Every audit record carries seq, prevHash and hash. hash covers the whole
+// record including prevHash, so editing or deleting any record breaks the
+// link to the one after it. hash is an HMAC keyed with AUDIT_CHAIN_KEY, which
+// only the server holds: write access to Mongo alone isn't enough to edit a
+// record and rebuild the chain after it.
+import crypto from "crypto";
+import { connectMongo } from "../config/mongo.js";
+import { canonicalJson } from "../utils/canonicalJson.js";
+
+export const AUDIT_COLLECTIONS = ["adminAuthLogs", "adminGraphQLLogs"];
+
+const GENESIS_HASH = "0".repeat(64);
+const MAX_APPEND_RETRIES = 5;
+
+const chainKey = () => {
+  const key = process.env.AUDIT_CHAIN_KEY;
+  if (!key) throw new Error("AUDIT_CHAIN_KEY is not set");
+  return key;
+};
+
+// at startup, so a missing key doesn't surface as lost audit writes later
+export const assertAuditChainKey = () => {
+  chainKey();
+};
+
+export const hashAuditRecord = (record) => {
+  const { _id, hash, ...fields } = record;
+  return crypto
+    .createHmac("sha256", chainKey())
+    .update(canonicalJson(fields))
+    .digest("hex");
+};
+
+const lastChained = (collection) =>
+  collection.findOne(
+    { seq: { $exists: true } },
+    { sort: { seq: -1 }, projection: { seq: 1, hash: 1 } },
+  );
+
+// one append at a time per collection in this process; the unique seq index
+// catches races with other instances
+const queues = new Map();
+
+const insertChained = async (collection, doc) => {
+  for (let attempt = 0; attempt < MAX_APPEND_RETRIES; attempt++) {
+    const previous = await lastChained(collection);
+    const record = {
+      ...doc,
+      seq: (previous?.seq || 0) + 1,
+      prevHash: previous?.hash || GENESIS_HASH,
+    };
+    record.hash = hashAuditRecord(record);
+
+    try {
+      await collection.insertOne(record);
+      return record;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // someone else took this seq
+    }
+  }
+
+  throw new Error("Could not append audit record: chain is busy");
+};
+
+// ================== APPEND ==================
+export const appendAuditRecord = async (collectionName, doc) => {
+  const db = await connectMongo();
+  const collection = db.collection(collectionName);
+
+  const previous = queues.get(collectionName) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => insertChained(collection, doc));
+
+  queues.set(collectionName, next);
+  return next;
+};
+
+// ================== VERIFY ==================
+const verifyCollection = async (db, collectionName, { from, to }) => {
+  const collection = db.collection(collectionName);
+
+  const range = {
+    seq: { $exists: true },
+    ...((from || to) && {
+      timestamp: {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) }),
+      },
+    }),
+  };
+
+  const report = {
+    collection: collectionName,
+    checked: 0,
+    valid: true,
+    firstBrokenSeq: null,
+    firstBrokenId: null,
+    reason: null,
+  };
+
+  const broken = (record, seq, reason) => ({
+    ...report,
+    valid: false,
+    firstBrokenSeq: seq,
+    firstBrokenId: record?._id?.toString() || null,
+    reason,
+  });
+
+  let previous = null;
+
+  for await (const record of collection.find(range).sort({ seq: 1 })) {
+    // the first record in range links to one that may be outside it
+    if (!previous && record.seq > 1) {
+      previous = await collection.findOne({ seq: record.seq - 1 });
+      if (!previous) return broken(record, record.seq - 1, "MISSING_RECORD");
+    }
+
+    if (previous && record.seq !== previous.seq + 1) {
+      return broken(record, previous.seq + 1, "MISSING_RECORD");
+    }
+
+    const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+    if (record.prevHash !== expectedPrev) {
+      return broken(record, record.seq, "PREVIOUS_HASH_MISMATCH");
+    }
+
+    if (hashAuditRecord(record) !== record.hash) {
+      return broken(record, record.seq, "HASH_MISMATCH");
+    }
+
+    report.checked += 1;
+    previous = record;
+  }
+
+  return report;
+};
+
+export const verifyAuditChainService = async (range = {}) => {
+  if (range.from && range.to && new Date(range.from) > new Date(range.to)) {
+    throw new Error("Invalid date range: from must be before to");
+  }
+
+  const db = await connectMongo();
+
+  return Promise.all(
+    AUDIT_COLLECTIONS.map((collectionName) =>
+      verifyCollection(db, collectionName, range),
+    ),
+  );
+};
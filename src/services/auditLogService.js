@@ -0,0 +1,181 @@
+// services/auditLogService.js
+import { connectMongo } from "../config/mongo.js";
+
+const AUTH_LOGS = "adminAuthLogs";
+const GRAPHQL_LOGS = "adminGraphQLLogs";
+
+// details keys that name the record an event was about
+const TARGET_FIELDS = [
+  "entityId",
+  "staffId",
+  "roleId",
+  "adminId",
+  "astrologerId",
+  "userId",
+  "sessionId",
+  "changeRequestId",
+];
+
+// ================== INDEXES ==================
+// seq is unique so two writers can't both extend the hash chain
+const CHAIN_INDEX = {
+  key: { seq: 1 },
+  unique: true,
+  partialFilterExpression: { seq: { $exists: true } },
+};
+
+const AUDIT_INDEXES = {
+  [AUTH_LOGS]: [
+    { timestamp: -1 },
+    { type: 1, timestamp: -1 },
+    { actor: 1, timestamp: -1 },
+    { correlationId: 1 },
+    { "impersonation.actorId": 1, timestamp: -1 },
+    { eventType: 1, timestamp: -1 },
+    { identifier: 1, timestamp: -1 },
+    { email: 1, timestamp: -1 },
+    { "details.ip": 1, timestamp: -1 },
+    ...TARGET_FIELDS.map((field) => ({ [`details.${field}`]: 1, timestamp: -1 })),
+  ],
+  [GRAPHQL_LOGS]: [
+    { timestamp: -1 },
+    { type: 1, timestamp: -1 },
+    { operation: 1, timestamp: -1 },
+    { actor: 1, timestamp: -1 },
+    { correlationId: 1 },
+    { "impersonation.actorId": 1, timestamp: -1 },
+    { userId: 1, timestamp: -1 },
+    { "details.ip": 1, timestamp: -1 },
+    ...TARGET_FIELDS.map((field) => ({ [`details.${field}`]: 1, timestamp: -1 })),
+  ],
+};
+
+export const ensureAuditLogIndexes = async () => {
+  const db = await connectMongo();
+
+  for (const [collection, indexes] of Object.entries(AUDIT_INDEXES)) {
+    await db
+      .collection(collection)
+      .createIndexes([CHAIN_INDEX, ...indexes.map((key) => ({ key }))]);
+  }
+};
+
+// ================== QUERY ==================
+// records written before logService still use the old per-helper field
+// names (identifier / email / userId, eventType), so filters cover those too
+const buildMatch = (filter = {}) => {
+  const and = [];
+
+  if (filter.actor) {
+    and.push({
+      $or: [
+        { actor: filter.actor },
+        { identifier: filter.actor },
+        { email: filter.actor },
+        { userId: filter.actor },
+        // what a super-admin did while impersonating someone else
+        { "impersonation.actorId": filter.actor },
+      ],
+    });
+  }
+
+  if (filter.eventType) {
+    and.push({
+      $or: [
+        { type: filter.eventType },
+        { eventType: filter.eventType },
+        { operation: filter.eventType },
+      ],
+    });
+  }
+
+  if (filter.target) {
+    and.push({
+      $or: TARGET_FIELDS.map((field) => ({ [`details.${field}`]: filter.target })),
+    });
+  }
+
+  if (filter.correlationId) {
+    and.push({ correlationId: filter.correlationId });
+  }
+
+  if (filter.ip) {
+    and.push({ "details.ip": filter.ip });
+  }
+
+  if (filter.from || filter.to) {
+    and.push({
+      timestamp: {
+        ...(filter.from && { $gte: new Date(filter.from) }),
+        ...(filter.to && { $lte: new Date(filter.to) }),
+      },
+    });
+  }
+
+  return and.length ? { $and: and } : {};
+};
+
+const toAuditLog = (doc) => ({
+  id: doc._id.toString(),
+  source: doc.source,
+  eventType: doc.type || doc.eventType,
+  operation: doc.operation || null,
+  actor: doc.actor || doc.identifier || doc.email || doc.userId || null,
+  target:
+    TARGET_FIELDS.map((field) => doc.details?.[field]).find(Boolean) || null,
+  ip: doc.details?.ip || null,
+  level: doc.level || null,
+  correlationId: doc.correlationId || null,
+  impersonatedBy: doc.impersonation?.actorId || null,
+  details: doc.details || {},
+  timestamp: doc.timestamp,
+});
+
+const SOURCES = { AUTH: AUTH_LOGS, GRAPHQL: GRAPHQL_LOGS };
+
+export const getAuditLogsService = async (filter = {}, page = 1, limit = 20) => {
+  if (page < 1 || limit < 1 || limit > 100) {
+    throw new Error("Invalid pagination: page >= 1 and 1 <= limit <= 100");
+  }
+
+  if (filter.from && filter.to && new Date(filter.from) > new Date(filter.to)) {
+    throw new Error("Invalid date range: from must be before to");
+  }
+
+  const db = await connectMongo();
+  const match = buildMatch(filter);
+  const sources = filter.source ? [filter.source] : Object.keys(SOURCES);
+
+  const [first, ...rest] = sources;
+  const pipeline = [
+    { $match: match },
+    { $addFields: { source: first } },
+    ...rest.map((source) => ({
+      $unionWith: {
+        coll: SOURCES[source],
+        pipeline: [{ $match: match }, { $addFields: { source } }],
+      },
+    })),
+    { $sort: { timestamp: -1, _id: -1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+  ];
+
+  const [docs, counts] = await Promise.all([
+    db.collection(SOURCES[first]).aggregate(pipeline).toArray(),
+    Promise.all(
+      sources.map((source) =>
+        db.collection(SOURCES[source]).countDocuments(match),
+      ),
+    ),
+  ]);
+
+  const totalCount = counts.reduce((sum, count) => sum + count, 0);
+
+  return {
+    data: docs.map(toAuditLog),
+    totalCount,
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+  };
+};
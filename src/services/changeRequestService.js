@@ -0,0 +1,290 @@
+// services/changeRequestService.js
+// Four-eyes for privilege changes. A gated mutation stores its arguments as a
+// ChangeRequest and fails with APPROVAL_REQUIRED; a second staff member who
+// holds the mutation's own permission approves it, and only then is the
+// original resolver run (with context.changeRequest set).
+import { GraphQLError } from "graphql";
+import prisma from "../config/prisma.js";
+import typeDefs from "../graphql/typeDefs.js";
+import { collectAuthRules } from "../graphql/authorization.js";
+import { checkPermission } from "./permissionService.js";
+import { logAuthEvent } from "./logService.js";
+import { SUPER_ADMIN_SLUG, getRoleChain } from "./roleHierarchyService.js";
+
+const TTL_HOURS = Number(process.env.CHANGE_REQUEST_TTL_HOURS || 48);
+
+// permissions that decide who can do what
+export const PRIVILEGED_PERMISSION =
+  /^(staff|roles|permissions|admins|security|audit|apikeys)\./;
+
+export const GATED_OPERATIONS = [
+  "assignPermissionsToRole",
+  "updateStaff",
+  "createStaff",
+  // only when the new parent hands down privilege
+  "createRole",
+  "updateRole",
+];
+
+// single-admin installs can't have a second approver
+const fourEyesEnabled = () => process.env.FOUR_EYES_ENABLED !== "false";
+
+let authRules;
+const requiredPermission = (operation) => {
+  authRules ??= collectAuthRules(typeDefs);
+  return authRules[`Mutation.${operation}`]?.permission;
+};
+
+const mayReview = async (context, operation) => {
+  try {
+    await checkPermission(context, requiredPermission(operation));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// true while an approved request is being applied
+export const isApplyingChangeRequest = (context, operation) =>
+  context.changeRequest?.operation === operation;
+
+// ================== GATE ==================
+// does this role (with what it inherits) or set of direct grants hand out a
+// privileged permission?
+export const grantsPrivilege = async ({ roleId, permissionIds = [] }) => {
+  if (roleId) {
+    const chain = await getRoleChain(roleId);
+
+    if (chain.some((role) => role.slug === SUPER_ADMIN_SLUG)) return true;
+
+    const rolePermissions = await prisma.rolePermission.findMany({
+      where: { roleId: { in: chain.map((role) => role.id) } },
+      include: { permission: true },
+    });
+
+    if (
+      rolePermissions.some((rp) => PRIVILEGED_PERMISSION.test(rp.permission.name))
+    ) {
+      return true;
+    }
+  }
+
+  if (!permissionIds.length) return false;
+
+  const permissions = await prisma.permission.findMany({
+    where: { id: { in: permissionIds } },
+  });
+
+  return permissions.some((perm) => PRIVILEGED_PERMISSION.test(perm.name));
+};
+
+// updateStaff: new grants always, a role change when the new role is privileged
+export const staffUpdateNeedsApproval = async (
+  current,
+  { roleId, permissionIds, grants },
+) => {
+  if (permissionIds || grants) return true;
+  if (!roleId || roleId === current.roleId) return false;
+  return grantsPrivilege({ roleId });
+};
+
+// returns when the change may go ahead, otherwise files it and throws
+export const requireApproval = async (context, operation, args, summary) => {
+  if (!fourEyesEnabled() || isApplyingChangeRequest(context, operation)) return;
+
+  const request = await prisma.changeRequest.create({
+    data: {
+      operation,
+      // Dates -> ISO strings, undefined dropped
+      args: JSON.parse(JSON.stringify(args)),
+      summary,
+      requestedBy: context.user.id,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  logAuthEvent("CHANGE_REQUEST_CREATED", context.user.id, {
+    changeRequestId: request.id,
+    operation,
+    summary,
+    args: request.args,
+    expiresAt: request.expiresAt,
+  });
+
+  throw new GraphQLError(
+    `Approval required: change request ${request.id} is waiting for a second reviewer`,
+    {
+      extensions: {
+        code: "APPROVAL_REQUIRED",
+        changeRequestId: request.id,
+        expiresAt: request.expiresAt.toISOString(),
+      },
+    },
+  );
+};
+
+// ================== EXPIRY ==================
+const expireStaleRequests = async () => {
+  const stale = await prisma.changeRequest.findMany({
+    where: { status: "PENDING", expiresAt: { lte: new Date() } },
+  });
+
+  if (!stale.length) return;
+
+  await prisma.changeRequest.updateMany({
+    where: { id: { in: stale.map((r) => r.id) }, status: "PENDING" },
+    data: { status: "EXPIRED" },
+  });
+
+  for (const request of stale) {
+    logAuthEvent("CHANGE_REQUEST_EXPIRED", "system", {
+      changeRequestId: request.id,
+      operation: request.operation,
+      requestedBy: request.requestedBy,
+    });
+  }
+};
+
+// ================== LIST ==================
+// requests the caller could review, plus their own
+export const listChangeRequestsService = async (
+  context,
+  { status, page = 1, limit = 20 },
+) => {
+  await expireStaleRequests();
+
+  const reviewable = [];
+  for (const operation of GATED_OPERATIONS) {
+    if (await mayReview(context, operation)) reviewable.push(operation);
+  }
+
+  const where = {
+    ...(status && { status }),
+    OR: [
+      { operation: { in: reviewable } },
+      { requestedBy: context.user.id },
+    ],
+  };
+
+  const [data, totalCount] = await Promise.all([
+    prisma.changeRequest.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.changeRequest.count({ where }),
+  ]);
+
+  return {
+    data,
+    totalCount,
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+  };
+};
+
+// ================== REVIEW ==================
+const loadPending = async (id) => {
+  await expireStaleRequests();
+
+  const request = await prisma.changeRequest.findUnique({ where: { id } });
+
+  if (!request) throw new Error("Change request not found");
+  if (request.status !== "PENDING") {
+    throw new Error(`Change request is ${request.status.toLowerCase()}`);
+  }
+
+  return request;
+};
+
+// PENDING -> status only once, even if two reviewers click at the same time
+const claim = async (request, context, status, note) => {
+  const { count } = await prisma.changeRequest.updateMany({
+    where: { id: request.id, status: "PENDING" },
+    data: {
+      status,
+      reviewedBy: context.user.id,
+      reviewNote: note || null,
+      reviewedAt: new Date(),
+    },
+  });
+
+  if (count !== 1) throw new Error("Change request is no longer pending");
+};
+
+// apply(request) runs the original mutation
+export const approveChangeRequestService = async (context, id, note, apply) => {
+  const request = await loadPending(id);
+
+  if (request.requestedBy === context.user.id) {
+    throw new Error("A change request needs a second person to approve it");
+  }
+
+  if (!(await mayReview(context, request.operation))) {
+    throw new Error("Unauthorized: Missing permission");
+  }
+
+  await claim(request, context, "APPROVED", note);
+
+  logAuthEvent("CHANGE_REQUEST_APPROVED", context.user.id, {
+    changeRequestId: id,
+    operation: request.operation,
+    requestedBy: request.requestedBy,
+    note,
+  });
+
+  try {
+    await apply(request);
+  } catch (error) {
+    await prisma.changeRequest.update({
+      where: { id },
+      data: { status: "FAILED", error: error.message },
+    });
+
+    logAuthEvent("CHANGE_REQUEST_FAILED", context.user.id, {
+      changeRequestId: id,
+      operation: request.operation,
+      error: error.message,
+    });
+
+    throw new Error(`Change request could not be applied: ${error.message}`);
+  }
+
+  const applied = await prisma.changeRequest.update({
+    where: { id },
+    data: { appliedAt: new Date() },
+  });
+
+  logAuthEvent("CHANGE_REQUEST_APPLIED", context.user.id, {
+    changeRequestId: id,
+    operation: request.operation,
+  });
+
+  return applied;
+};
+
+// reviewers reject; the requester may withdraw their own request
+export const rejectChangeRequestService = async (context, id, note) => {
+  const request = await loadPending(id);
+
+  const withdrawing = request.requestedBy === context.user.id;
+  if (!withdrawing && !(await mayReview(context, request.operation))) {
+    throw new Error("Unauthorized: Missing permission");
+  }
+
+  await claim(request, context, "REJECTED", note);
+
+  logAuthEvent(
+    withdrawing ? "CHANGE_REQUEST_WITHDRAWN" : "CHANGE_REQUEST_REJECTED",
+    context.user.id,
+    {
+      changeRequestId: id,
+      operation: request.operation,
+      requestedBy: request.requestedBy,
+      note,
+    },
+  );
+
+  return prisma.changeRequest.findUnique({ where: { id } });
+};
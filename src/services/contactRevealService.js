@@ -0,0 +1,97 @@
+// services/contactRevealService.js
+// List and search results show masked contact details; the full value is only
+// handed out by revealContact, one record at a time, with a reason on record.
+import prisma from "../config/prisma.js";
+import { maskEmail, maskPhone } from "../utils/mask.js";
+import { checkPermission, hasPermission } from "./permissionService.js";
+import { logAuthEvent } from "./logService.js";
+import { callerId } from "../utils/callerId.js";
+
+// entity -> where to find it and who may see its contact details
+export const CONTACT_ENTITIES = {
+  USER: {
+    model: "user",
+    permission: "users.contact.read",
+    target: "userId",
+    select: { id: true, countryCode: true, mobile: true },
+    contact: (row) => ({ email: null, mobile: row.mobile, countryCode: row.countryCode }),
+  },
+  ASTROLOGER: {
+    model: "astrologer",
+    permission: "astrologer.contact.read",
+    target: "astrologerId",
+    select: { id: true, email: true, contactNo: true },
+    contact: (row) => ({ email: row.email, mobile: row.contactNo, countryCode: null }),
+  },
+};
+
+// ================== MASKING ==================
+export const maskUserContact = (user) => ({
+  ...user,
+  mobile: maskPhone(user.mobile),
+});
+
+export const maskAstrologerContact = (astrologer) => ({
+  ...astrologer,
+  email: maskEmail(astrologer.email),
+  contactNo: maskPhone(astrologer.contactNo),
+});
+
+// ================== SEARCH ==================
+// a mobile match would confirm a masked number, so only staff who may see
+// numbers can search by them
+export const userSearchWhere = async (context, query) => {
+  if (!query) return {};
+
+  const byMobile = await hasPermission(
+    context,
+    CONTACT_ENTITIES.USER.permission,
+  );
+
+  return {
+    OR: [
+      { name: { contains: query, mode: "insensitive" } },
+      ...(byMobile ? [{ mobile: { contains: query } }] : []),
+    ],
+  };
+};
+
+// ================== REVEAL ==================
+export const revealContactService = async (context, entity, id, reason) => {
+  const config = CONTACT_ENTITIES[entity];
+
+  if (!config) {
+    throw new Error("Unknown entity");
+  }
+
+  if (!reason?.trim()) {
+    throw new Error("A reason is required");
+  }
+
+  // also refuses records outside the caller's department scope
+  await checkPermission(context, config.permission, {
+    entity: config.model,
+    id,
+  });
+
+  const row = await prisma[config.model].findUnique({
+    where: { id },
+    select: config.select,
+  });
+
+  if (!row) {
+    throw new Error(`${entity === "USER" ? "User" : "Astrologer"} not found`);
+  }
+
+  const contact = config.contact(row);
+
+  logAuthEvent("CONTACT_REVEALED", callerId(context), {
+    entity,
+    [config.target]: id,
+    fields: Object.keys(contact).filter((field) => contact[field]),
+    reason: reason.trim(),
+    ip: context.req?.ip || null,
+  });
+
+  return { entity, id, ...contact };
+};
@@ -0,0 +1,79 @@
+// services/dataScopeService.js
+// A department can narrow which records its staff see. Department.scopes:
+//   { "astrologer": { "approvalStatus": ["PENDING", "INTERVIEW"], "state": ["Kerala"] } }
+// Each rule becomes a Prisma where filter; all of them must match. Staff with
+// no department scopes (and super-admins) are unrestricted.
+
+const APPROVAL_STATUSES = [
+  "PENDING",
+  "INTERVIEW",
+  "DOCUMENT_VERIFICATION",
+  "APPROVED",
+  "REJECTED",
+];
+
+// entity (prisma model) -> rule -> { allowed values (null = any), filter }
+export const DATA_SCOPES = {
+  astrologer: {
+    approvalStatus: {
+      values: APPROVAL_STATUSES,
+      where: (values) => ({ approvalStatus: { in: values } }),
+    },
+    state: {
+      values: null,
+      where: (values) => ({ addresses: { some: { state: { in: values } } } }),
+    },
+  },
+};
+
+// ================== VALIDATION ==================
+// returns the scopes to store (null = no restriction)
+export const validateDataScopes = (scopes) => {
+  if (scopes === null || scopes === undefined) return null;
+
+  if (typeof scopes !== "object" || Array.isArray(scopes)) {
+    throw new Error("Scopes must be an object keyed by entity");
+  }
+
+  for (const [entity, rules] of Object.entries(scopes)) {
+    if (!DATA_SCOPES[entity]) {
+      throw new Error(`Unknown scope entity: ${entity}`);
+    }
+
+    if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+      throw new Error(`Scope rules for ${entity} must be an object`);
+    }
+
+    for (const [rule, values] of Object.entries(rules)) {
+      const definition = DATA_SCOPES[entity][rule];
+
+      if (!definition) {
+        throw new Error(`Unknown scope rule: ${entity}.${rule}`);
+      }
+
+      if (
+        !Array.isArray(values) ||
+        !values.length ||
+        values.some((value) => typeof value !== "string" || !value.trim())
+      ) {
+        throw new Error(`${entity}.${rule} must be a non-empty list of values`);
+      }
+
+      const invalid = definition.values
+        ? values.filter((value) => !definition.values.includes(value))
+        : [];
+      if (invalid.length) {
+        throw new Error(`Invalid ${entity}.${rule} value(s): ${invalid.join(", ")}`);
+      }
+    }
+  }
+
+  return Object.keys(scopes).length ? scopes : null;
+};
+
+// ================== FILTERS ==================
+// [where, ...] for one entity; rules saved before a rule was dropped are ignored
+export const buildScopeFilters = (scopes, entity) =>
+  Object.entries(scopes?.[entity] || {})
+    .filter(([rule]) => DATA_SCOPES[entity]?.[rule])
+    .map(([rule, values]) => DATA_SCOPES[entity][rule].where(values));
@@ -0,0 +1,95 @@
+// services/grantExpiryService.js
+// Expired grants are already ignored by permission checks; this sweep deletes
+// them so the tables (and the admin screens) only show live access.
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { logAuthEvent, logger } from "./logService.js";
+import {
+  invalidateRolePermissions,
+  invalidateStaffPermissions,
+} from "./permissionService.js";
+
+const SWEEP_INTERVAL_MINUTES = Number(
+  process.env.GRANT_SWEEP_INTERVAL_MINUTES || 15,
+);
+
+// one instance sweeps at a time, so each removal is logged once
+const SWEEP_LOCK_KEY = "grant-sweep:lock";
+
+const expiredWhere = (now) => ({ validUntil: { lte: now } });
+
+export const sweepExpiredGrants = async (now = new Date()) => {
+  const locked = await getRedis().set(
+    SWEEP_LOCK_KEY,
+    "1",
+    "EX",
+    SWEEP_INTERVAL_MINUTES * 60,
+    "NX",
+  );
+  if (!locked) return { staffGrants: 0, roleGrants: 0 };
+
+  const [staffGrants, roleGrants] = await Promise.all([
+    prisma.staffPermission.findMany({
+      where: expiredWhere(now),
+      include: { permission: true },
+    }),
+    prisma.rolePermission.findMany({
+      where: expiredWhere(now),
+      include: { permission: true },
+    }),
+  ]);
+
+  if (staffGrants.length) {
+    await prisma.staffPermission.deleteMany({
+      where: { id: { in: staffGrants.map((grant) => grant.id) } },
+    });
+  }
+
+  if (roleGrants.length) {
+    await prisma.rolePermission.deleteMany({
+      where: { id: { in: roleGrants.map((grant) => grant.id) } },
+    });
+  }
+
+  for (const grant of staffGrants) {
+    logAuthEvent("PERMISSION_GRANT_EXPIRED", "system", {
+      staffId: grant.staffId,
+      permissionId: grant.permissionId,
+      permission: grant.permission?.name,
+      effect: grant.effect,
+      validFrom: grant.validFrom,
+      validUntil: grant.validUntil,
+    });
+  }
+
+  for (const grant of roleGrants) {
+    logAuthEvent("PERMISSION_GRANT_EXPIRED", "system", {
+      roleId: grant.roleId,
+      permissionId: grant.permissionId,
+      permission: grant.permission?.name,
+      effect: grant.effect,
+      validFrom: grant.validFrom,
+      validUntil: grant.validUntil,
+    });
+  }
+
+  await invalidateStaffPermissions(
+    ...new Set(staffGrants.map((grant) => grant.staffId)),
+  );
+  for (const roleId of new Set(roleGrants.map((grant) => grant.roleId))) {
+    await invalidateRolePermissions(roleId);
+  }
+
+  return { staffGrants: staffGrants.length, roleGrants: roleGrants.length };
+};
+
+export const startGrantSweep = () => {
+  const run = () =>
+    sweepExpiredGrants().catch((error) =>
+      logger.error("GRANT_SWEEP_FAILED", { error: error.message }),
+    );
+
+  run();
+  // don't keep the process alive just for the sweep
+  setInterval(run, SWEEP_INTERVAL_MINUTES * 60 * 1000).unref();
+};
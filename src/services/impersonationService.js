@@ -0,0 +1,64 @@
+// services/impersonationService.js
+// "Login as" for support: a super-admin gets a short-lived access token for
+// another staff member. The token carries actorId + subjectId, every log entry
+// made with it records both, and @noImpersonation operations refuse it.
+import prisma from "../config/prisma.js";
+import {
+  IMPERSONATION_TTL_SECONDS,
+  generateImpersonationToken,
+} from "../config/jwt.js";
+import { logAuthEvent } from "./logService.js";
+import { isSuperAdminRole } from "./roleHierarchyService.js";
+
+export const isImpersonating = (context) => Boolean(context.token?.actorId);
+
+// ================== START ==================
+export const impersonateStaffService = async (context, staffId, reason) => {
+  const actor = context.user;
+
+  if (!actor?.roleId || !(await isSuperAdminRole(actor.roleId))) {
+    throw new Error("Unauthorized: Only super-admins can impersonate staff");
+  }
+
+  if (isImpersonating(context)) {
+    throw new Error("Already impersonating");
+  }
+
+  if (!reason?.trim()) {
+    throw new Error("A reason is required");
+  }
+
+  if (staffId === actor.id) {
+    throw new Error("Cannot impersonate yourself");
+  }
+
+  const subject = await prisma.staff.findUnique({
+    where: { id: staffId },
+    include: { role: true },
+  });
+
+  if (!subject || !subject.isActive) {
+    throw new Error("Staff not found or inactive");
+  }
+
+  // would hand out unrestricted access under someone else's name
+  if (await isSuperAdminRole(subject.roleId)) {
+    throw new Error("Cannot impersonate a super-admin");
+  }
+
+  const accessToken = generateImpersonationToken(subject, actor, {
+    sid: context.token?.sid,
+  });
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000);
+
+  logAuthEvent("IMPERSONATION_STARTED", actor.id, {
+    actorId: actor.id,
+    subjectId: subject.id,
+    reason: reason.trim(),
+    sessionId: context.token?.sid || null,
+    ip: context.req?.ip || null,
+    expiresAt,
+  });
+
+  return { accessToken, expiresAt: expiresAt.toISOString(), subject };
+};
@@ -1,21 +1,222 @@
 // src/services/logService.js
-const { getDb, connectMongo } = require("../config/mongo");
-
-async function logAuthEvent(eventType, details) {
-  try {
-    await connectMongo(); 
-    const db = getDb();
-
-    const logEntry = {
-      eventType,
-      details,
-      timestamp: new Date(),
-    };
-
-    await db.collection("adminAuthLogs").insertOne(logEntry);
-  } catch (error) {
-    console.error("Failed to log auth event:", error);
+// One logger for the whole service. Every entry has the same shape:
+//   { timestamp, level, channel, type, actor, operation, details,
+//     correlationId, service }
+// plus impersonation: { actorId, subjectId } on requests made with an
+// impersonation token.
+// channel "auth" / "graphql" entries are audit events and also go to Mongo
+// (adminAuthLogs / adminGraphQLLogs, hash-chained). Writes are queued so a
+// request never waits on a sink; when the queue is full only app entries are
+// dropped, audit entries are always kept.
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { appendAuditRecord } from "./auditChainService.js";
+import { redact, redactString } from "../utils/redact.js";
+
+const SERVICE = "admin-auth-service";
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const maxQueue = () => Number(process.env.LOG_QUEUE_MAX || 10000);
+
+const CHANNEL_COLLECTIONS = {
+  auth: "adminAuthLogs",
+  graphql: "adminGraphQLLogs",
+};
+
+// ================== CORRELATION ID ==================
+const requestScope = new AsyncLocalStorage();
+
+export const newCorrelationId = () => crypto.randomUUID();
+
+export const runWithCorrelationId = (correlationId, fn) =>
+  requestScope.run({ correlationId }, fn);
+
+export const getCorrelationId = () =>
+  requestScope.getStore()?.correlationId || null;
+
+// called once the request's token is known; tags every entry that follows
+export const setImpersonation = ({ actorId, subjectId }) => {
+  const store = requestScope.getStore();
+  if (store) store.impersonation = { actorId, subjectId };
+};
+
+const getImpersonation = () => requestScope.getStore()?.impersonation || null;
+
+// ================== SINKS ==================
+// sink = { write(entry), accepts?(entry) }; without accepts, LOG_LEVEL applies
+const levelEnabled = (level) =>
+  LEVELS[level] >= (LEVELS[process.env.LOG_LEVEL] || LEVELS.info);
+
+const sinks = {
+  console: {
+    write: async (entry) => {
+      const line = JSON.stringify(entry);
+      if (LEVELS[entry.level] >= LEVELS.warn) console.error(line);
+      else console.log(line);
+    },
+  },
+
+  // audit events are kept whatever LOG_LEVEL says
+  mongo: {
+    accepts: (entry) => Boolean(CHANNEL_COLLECTIONS[entry.channel]),
+    write: async ({ channel, ...entry }) => {
+      await appendAuditRecord(CHANNEL_COLLECTIONS[channel], entry);
+    },
+  },
+
+  file: {
+    write: async (entry) => {
+      const file = process.env.LOG_FILE || "logs/admin-auth-service.log";
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+  },
+};
+
+let activeSinks = (process.env.LOG_SINKS || "console,mongo")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+export const registerLogSink = (name, sink) => {
+  sinks[name] = sink;
+};
+
+export const useLogSinks = (names) => {
+  const unknown = names.filter((name) => !sinks[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown log sink(s): ${unknown.join(", ")}`);
   }
-}
+  activeSinks = names;
+};
+
+// ================== QUEUE ==================
+const queue = [];
+let draining = null;
+let dropped = 0;
+
+const writeEntry = async (entry) => {
+  await Promise.all(
+    activeSinks.map(async (name) => {
+      const sink = sinks[name];
+      if (!sink) return;
+
+      const accepted = sink.accepts
+        ? sink.accepts(entry)
+        : levelEnabled(entry.level);
+      if (!accepted) return;
+
+      try {
+        await sink.write(entry);
+      } catch (error) {
+        // can't log through the logger here without looping
+        console.error(`Log sink "${name}" failed:`, error.message);
+      }
+    }),
+  );
+};
+
+const drain = async () => {
+  while (queue.length) {
+    if (dropped) {
+      const count = dropped;
+      dropped = 0;
+      await writeEntry(
+        buildEntry({
+          level: "warn",
+          type: "LOG_ENTRIES_DROPPED",
+          details: { count },
+        }),
+      );
+    }
+
+    await writeEntry(queue.shift());
+  }
+  draining = null;
+};
+
+const isAudit = (entry) => Boolean(CHANNEL_COLLECTIONS[entry.channel]);
+
+// full queue: the oldest app entry makes room; with nothing but audit entries
+// queued, an app entry is dropped and an audit entry goes over the limit
+const enqueue = (entry) => {
+  if (queue.length >= maxQueue()) {
+    const oldestApp = queue.findIndex((queued) => !isAudit(queued));
+
+    if (oldestApp !== -1) {
+      queue.splice(oldestApp, 1);
+      dropped += 1;
+    } else if (!isAudit(entry)) {
+      dropped += 1;
+      return;
+    }
+  }
+
+  queue.push(entry);
+
+  if (!draining) {
+    draining = new Promise((resolve) => setImmediate(resolve)).then(drain);
+  }
+};
+
+// resolves once everything queued so far is written (tests, shutdown)
+export const flushLogs = async () => {
+  while (draining) await draining;
+};
+
+// ================== ENTRIES ==================
+const buildEntry = ({
+  level = "info",
+  channel = "app",
+  type,
+  actor = null,
+  operation = null,
+  details = {},
+  impersonation = getImpersonation(),
+}) => ({
+  timestamp: new Date(),
+  level,
+  channel,
+  type: redactString(String(type)),
+  actor,
+  operation,
+  // nothing reaches a sink unredacted
+  details: redact(details),
+  correlationId: getCorrelationId(),
+  ...(impersonation && { impersonation }),
+  service: SERVICE,
+});
+
+export const log = (fields) => {
+  enqueue(buildEntry(fields));
+};
+
+// failures and suspicious events stand out without every caller picking a level
+const levelFor = (type) => {
+  if (/ERROR/.test(type)) return "error";
+  if (/FAIL|REUSE|LOCKED|IGNORED/.test(type)) return "warn";
+  return "info";
+};
+
+// actor = email or staff id of whoever the event is about
+export const logAuthEvent = (type, actor, details = {}) =>
+  log({ channel: "auth", level: levelFor(type), type, actor, details });
+
+// type = SUCCESS / ERROR, operation = resolver name
+export const logGraphQLEvent = (type, operation, actor = null, details = {}) =>
+  log({
+    channel: "graphql",
+    level: levelFor(type),
+    type,
+    operation,
+    actor,
+    details,
+  });
 
-module.exports = { logAuthEvent };
+export const logger = Object.fromEntries(
+  Object.keys(LEVELS).map((level) => [
+    level,
+    (message, details = {}) => log({ level, type: message, details }),
+  ]),
+);
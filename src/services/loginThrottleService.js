@@ -0,0 +1,104 @@
+// services/loginThrottleService.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { logAuthEvent } from "./logService.js";
+
+const FREE_ATTEMPTS = 3; // failures before backoff kicks in
+const MAX_DELAY_SECONDS = 5 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+const EMAIL_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = Number(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCK_SECONDS = (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60;
+
+const failKey = (scope, value) => `login-fail:${scope}:${value}`;
+const lockKey = (scope, value) => `login-lock:${scope}:${value}`;
+
+const normalizeEmail = (email) => email.toLowerCase().trim();
+
+// 2s, 4s, 8s ... after the free attempts
+const backoffSeconds = (count) =>
+  count < FREE_ATTEMPTS
+    ? 0
+    : Math.min(2 ** (count - FREE_ATTEMPTS + 1), MAX_DELAY_SECONDS);
+
+// ip is req.ip: the client's address only when TRUST_PROXY is set for the
+// proxies in front of us (see server.js)
+const scopesFor = (email, ip) =>
+  [
+    ["email", normalizeEmail(email), EMAIL_LOCK_THRESHOLD],
+    ip && ["ip", ip, IP_LOCK_THRESHOLD],
+  ].filter(Boolean);
+
+// ================== CHECK ==================
+export const assertLoginAllowed = async (email, ip) => {
+  const redis = getRedis();
+
+  for (const [scope, value] of scopesFor(email, ip)) {
+    const lockTtl = await redis.ttl(lockKey(scope, value));
+
+    if (lockTtl > 0) {
+      throw new Error(
+        `Account temporarily locked. Try again in ${Math.ceil(lockTtl / 60)} minute(s)`,
+      );
+    }
+
+    const { count, lastFailedAt } = await redis.hgetall(failKey(scope, value));
+    const waitMs =
+      Number(lastFailedAt) + backoffSeconds(Number(count)) * 1000 - Date.now();
+
+    if (count && waitMs > 0) {
+      throw new Error(
+        `Too many failed attempts. Try again in ${Math.ceil(waitMs / 1000)}s`,
+      );
+    }
+  }
+};
+
+// ================== RECORD FAILURE ==================
+export const recordLoginFailure = async (email, ip, meta = {}) => {
+  const redis = getRedis();
+
+  for (const [scope, value, threshold] of scopesFor(email, ip)) {
+    const [[, count]] = await redis
+      .multi()
+      .hincrby(failKey(scope, value), "count", 1)
+      .hset(failKey(scope, value), "lastFailedAt", Date.now())
+      .expire(failKey(scope, value), FAILURE_WINDOW_SECONDS)
+      .exec();
+
+    if (count >= threshold) {
+      await redis
+        .multi()
+        .set(lockKey(scope, value), "1", "EX", LOCK_SECONDS)
+        .del(failKey(scope, value))
+        .exec();
+
+      logAuthEvent("ACCOUNT_LOCKED", value, {
+        scope,
+        failedAttempts: count,
+        lockedForSeconds: LOCK_SECONDS,
+        ...meta,
+      });
+    }
+  }
+};
+
+// ================== CLEAR ==================
+// IP counter is left to decay so one good login can't reset a spray
+export const clearLoginFailures = async (email) => {
+  await getRedis().del(failKey("email", normalizeEmail(email)));
+};
+
+export const unlockStaffService = async (staffId, unlockedBy) => {
+  const staff = await prisma.staff.findUnique({ where: { id: staffId } });
+  if (!staff) throw new Error("Staff not found");
+
+  const email = normalizeEmail(staff.email);
+
+  await getRedis().del(lockKey("email", email), failKey("email", email));
+
+  logAuthEvent("ACCOUNT_UNLOCKED", email, { staffId, unlockedBy });
+
+  return true;
+};
@@ -0,0 +1,30 @@
+// services/otpDelivery.js
+import { logger } from "./logService.js";
+
+// channel = async ({ to, otp, purpose }) => void
+const channels = {
+  // logs that an OTP went out, never the OTP itself
+  console: async ({ to, purpose }) => {
+    logger.info("OTP_GENERATED", { to, purpose });
+  },
+};
+
+let activeChannel = process.env.OTP_CHANNEL || "console";
+
+export const registerOtpChannel = (name, send) => {
+  channels[name] = send;
+};
+
+export const useOtpChannel = (name) => {
+  activeChannel = name;
+};
+
+export const sendOtp = async (payload) => {
+  const send = channels[activeChannel];
+
+  if (!send) {
+    throw new Error(`OTP channel "${activeChannel}" is not registered`);
+  }
+
+  await send(payload);
+};
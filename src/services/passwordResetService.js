@@ -0,0 +1,122 @@
+// services/passwordResetService.js
+import bcrypt from "bcryptjs";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { generateOtp, otpExpiryTime } from "../utils/otp.js";
+import { sendOtp } from "./otpDelivery.js";
+import { revokeAllStaffSessions } from "./tokenService.js";
+import { logAuthEvent } from "./logService.js";
+import {
+  validatePasswordPolicy,
+  assertPasswordNotReused,
+  recordPasswordChange,
+} from "./passwordService.js";
+
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const resetKey = (email) => `password-reset:${email}`;
+
+const normalizeEmail = (email) => email.toLowerCase().trim();
+
+// ================== REQUEST RESET ==================
+export const requestStaffPasswordResetService = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  const redis = getRedis();
+
+  const staff = await prisma.staff.findUnique({
+    where: { email: normalizedEmail },
+  });
+
+  // same answer either way so emails can't be enumerated
+  if (!staff || staff.isActive === false) {
+    logAuthEvent("PASSWORD_RESET_REQUEST_IGNORED", normalizedEmail, {
+      reason: "Staff not found or inactive",
+    });
+    return;
+  }
+
+  const existing = await redis.hget(resetKey(normalizedEmail), "createdAt");
+  if (existing && Date.now() - Number(existing) < RESEND_COOLDOWN_MS) {
+    return;
+  }
+
+  const otp = generateOtp();
+  const expiresAt = otpExpiryTime();
+
+  await redis
+    .multi()
+    .hset(resetKey(normalizedEmail), {
+      otpHash: await bcrypt.hash(otp, 10),
+      attempts: 0,
+      createdAt: Date.now(),
+    })
+    .pexpireat(resetKey(normalizedEmail), expiresAt.getTime())
+    .exec();
+
+  await sendOtp({ to: normalizedEmail, otp, purpose: "PASSWORD_RESET" });
+
+  logAuthEvent("PASSWORD_RESET_REQUESTED", normalizedEmail, {
+    staffId: staff.id,
+    expiresAt,
+  });
+};
+
+// ================== RESET PASSWORD ==================
+export const resetStaffPasswordService = async (email, otp, newPassword) => {
+  const normalizedEmail = normalizeEmail(email);
+  const redis = getRedis();
+
+  const record = await redis.hgetall(resetKey(normalizedEmail));
+
+  if (!record.otpHash) {
+    throw new Error("Invalid or expired OTP");
+  }
+
+  // count the guess before checking it, so parallel guesses can't all get
+  // in under the limit
+  const attempts = await redis.hincrby(
+    resetKey(normalizedEmail),
+    "attempts",
+    1,
+  );
+
+  if (attempts > MAX_ATTEMPTS) {
+    await redis.del(resetKey(normalizedEmail));
+    throw new Error("Too many attempts. Request a new OTP");
+  }
+
+  const valid = await bcrypt.compare(String(otp), record.otpHash);
+
+  if (!valid) {
+    logAuthEvent("PASSWORD_RESET_FAILED", normalizedEmail, {
+      reason: "Invalid OTP",
+      attempts,
+    });
+    throw new Error("Invalid or expired OTP");
+  }
+
+  const staff = await prisma.staff.findUnique({
+    where: { email: normalizedEmail },
+  });
+  if (!staff) throw new Error("Invalid or expired OTP");
+
+  validatePasswordPolicy(newPassword);
+  await assertPasswordNotReused(staff.id, staff.password, newPassword);
+
+  await prisma.staff.update({
+    where: { id: staff.id },
+    data: { password: await bcrypt.hash(newPassword, 10) },
+  });
+
+  await recordPasswordChange(staff.id, staff.password, false);
+
+  await redis.del(resetKey(normalizedEmail));
+
+  // whoever had the old password shouldn't keep a session
+  await revokeAllStaffSessions(staff.id);
+
+  logAuthEvent("PASSWORD_RESET_SUCCESS", normalizedEmail, {
+    staffId: staff.id,
+  });
+};
@@ -0,0 +1,124 @@
+// services/passwordService.js
+import bcrypt from "bcryptjs";
+import prisma from "../config/prisma.js";
+import passwordPolicy from "../config/passwordPolicy.js";
+import { issueStaffTokens, revokeAllStaffSessions } from "./tokenService.js";
+import { logAuthEvent } from "./logService.js";
+
+// ================== POLICY ==================
+export const validatePasswordPolicy = (password = "") => {
+  const problems = [];
+
+  if (password.length < passwordPolicy.minLength) {
+    problems.push(`at least ${passwordPolicy.minLength} characters`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push("an uppercase letter");
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push("a lowercase letter");
+  }
+  if (passwordPolicy.requireDigit && !/\d/.test(password)) {
+    problems.push("a digit");
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push("a symbol");
+  }
+
+  if (problems.length) {
+    throw new Error(`Password must contain ${problems.join(", ")}`);
+  }
+};
+
+export const assertPasswordNotReused = async (staffId, currentHash, password) => {
+  const credential = await prisma.staffCredential.findUnique({
+    where: { staffId },
+  });
+
+  const recent = [
+    currentHash,
+    ...(credential?.previousHashes || []).slice(0, passwordPolicy.historySize),
+  ].filter(Boolean);
+
+  for (const hash of recent) {
+    if (await bcrypt.compare(password, hash)) {
+      throw new Error(
+        `Password was used recently. Choose one not among your last ${recent.length}`,
+      );
+    }
+  }
+};
+
+// keeps the replaced hash for reuse checks
+export const recordPasswordChange = async (
+  staffId,
+  previousHash,
+  mustChangePassword,
+) => {
+  const credential = await prisma.staffCredential.findUnique({
+    where: { staffId },
+  });
+
+  const previousHashes = [previousHash, ...(credential?.previousHashes || [])]
+    .filter(Boolean)
+    .slice(0, passwordPolicy.historySize);
+
+  const data = {
+    mustChangePassword,
+    passwordChangedAt: new Date(),
+    previousHashes,
+  };
+
+  await prisma.staffCredential.upsert({
+    where: { staffId },
+    update: data,
+    create: { staffId, ...data },
+  });
+};
+
+// set by an admin (createStaff, or a reset in updateStaff): the creator knows
+// it, so it only unlocks a change. A reset also ends existing sessions.
+export const recordAdminSetPassword = async (staffId, previousHash = null) => {
+  await recordPasswordChange(staffId, previousHash, true);
+  if (previousHash) await revokeAllStaffSessions(staffId);
+};
+
+// ================== CHANGE MY PASSWORD ==================
+export const changeMyPasswordService = async (
+  staffId,
+  currentPassword,
+  newPassword,
+  meta = {},
+) => {
+  const staff = await prisma.staff.findUnique({
+    where: { id: staffId },
+    include: { role: true },
+  });
+  if (!staff) throw new Error("Staff not found");
+
+  if (!(await bcrypt.compare(currentPassword, staff.password))) {
+    logAuthEvent("PASSWORD_CHANGE_FAILED", staff.email, {
+      staffId,
+      reason: "Current password incorrect",
+    });
+    throw new Error("Current password is incorrect");
+  }
+
+  validatePasswordPolicy(newPassword);
+  await assertPasswordNotReused(staffId, staff.password, newPassword);
+
+  await prisma.staff.update({
+    where: { id: staffId },
+    data: { password: await bcrypt.hash(newPassword, 10) },
+  });
+
+  await recordPasswordChange(staffId, staff.password, false);
+
+  // old (possibly restricted) tokens go; caller gets a fresh session
+  await revokeAllStaffSessions(staffId);
+  const tokens = await issueStaffTokens(staff, meta);
+
+  logAuthEvent("PASSWORD_CHANGED", staff.email, { staffId });
+
+  return { ...tokens, user: staff };
+};
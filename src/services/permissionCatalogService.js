@@ -0,0 +1,189 @@
+// services/permissionCatalogService.js
+// Keeps the Permission / ModulePermission tables in line with the permissions
+// the code actually checks (graphql/permissionCatalog.js).
+import prisma from "../config/prisma.js";
+import { PERMISSION_CATALOG } from "../graphql/permissionCatalog.js";
+import { logAuthEvent, logger } from "./logService.js";
+import { invalidateAllPermissions } from "./permissionService.js";
+
+// old name -> new name for permissions renamed in the code; the sync moves
+// their grants over so nobody loses access on deploy
+export const RENAMED_PERMISSIONS = {
+  "roles.edit": "roles.update",
+  "modules.edit": "modules.update",
+  "departments.edit": "departments.update",
+  "staff.edit": "staff.update",
+};
+
+// a holder who already has the new permission keeps that grant; the old one goes
+const moveGrants = async (prismaInstance, model, holder, from, to) => {
+  const grants = await prismaInstance[model].findMany({
+    where: { permissionId: from.id },
+  });
+
+  for (const grant of grants) {
+    const existing = await prismaInstance[model].findFirst({
+      where: { [holder]: grant[holder], permissionId: to.id },
+    });
+
+    if (existing) {
+      await prismaInstance[model].delete({ where: { id: grant.id } });
+    } else {
+      await prismaInstance[model].update({
+        where: { id: grant.id },
+        data: { permissionId: to.id },
+      });
+    }
+  }
+
+  return grants.length;
+};
+
+// old permission rows are soft-deleted once their grants have moved
+const moveRenamedGrants = async (prismaInstance) => {
+  const moved = [];
+
+  for (const [oldName, newName] of Object.entries(RENAMED_PERMISSIONS)) {
+    const from = await prismaInstance.permission.findUnique({
+      where: { name: oldName },
+    });
+    if (!from || from.isDeleted) continue;
+
+    const to = await prismaInstance.permission.findUnique({
+      where: { name: newName },
+    });
+    if (!to) continue;
+
+    const roleGrants = await moveGrants(
+      prismaInstance,
+      "rolePermission",
+      "roleId",
+      from,
+      to,
+    );
+    const staffGrants = await moveGrants(
+      prismaInstance,
+      "staffPermission",
+      "staffId",
+      from,
+      to,
+    );
+
+    await prismaInstance.permission.update({
+      where: { id: from.id },
+      data: { isDeleted: true },
+    });
+
+    logAuthEvent("PERMISSION_GRANTS_MOVED", "system", {
+      from: oldName,
+      to: newName,
+      roleGrants,
+      staffGrants,
+    });
+
+    moved.push(`${oldName} -> ${newName}`);
+  }
+
+  return moved;
+};
+
+// ================== SYNC ==================
+// upserts every catalogued permission and links it to the module named by its
+// prefix; modules themselves are created by admins, so missing ones are reported
+export const syncPermissionCatalog = async (prismaInstance = prisma) => {
+  const modules = await prismaInstance.module.findMany({
+    where: { isDeleted: false },
+  });
+  const modulesBySlug = new Map(modules.map((mod) => [mod.slug, mod]));
+
+  const result = {
+    created: [],
+    restored: [],
+    linked: [],
+    moved: [],
+    missingModules: [],
+  };
+
+  for (const entry of PERMISSION_CATALOG) {
+    let permission = await prismaInstance.permission.findUnique({
+      where: { name: entry.name },
+    });
+
+    if (!permission) {
+      permission = await prismaInstance.permission.create({
+        data: { name: entry.name, type: "SYSTEM" },
+      });
+      result.created.push(entry.name);
+    } else if (permission.isDeleted) {
+      permission = await prismaInstance.permission.update({
+        where: { id: permission.id },
+        data: { isDeleted: false },
+      });
+      result.restored.push(entry.name);
+    }
+
+    const mod = modulesBySlug.get(entry.module);
+
+    if (!mod) {
+      if (!result.missingModules.includes(entry.module)) {
+        result.missingModules.push(entry.module);
+      }
+      continue;
+    }
+
+    const existingLink = await prismaInstance.modulePermission.findFirst({
+      where: { moduleId: mod.id, permissionId: permission.id },
+    });
+
+    if (!existingLink) {
+      await prismaInstance.modulePermission.create({
+        data: { moduleId: mod.id, permissionId: permission.id },
+      });
+      result.linked.push(entry.name);
+    }
+  }
+
+  // after the loop, so every new name exists
+  result.moved = await moveRenamedGrants(prismaInstance);
+
+  // restored / newly linked / moved permissions change what existing grants give
+  if (result.restored.length || result.linked.length || result.moved.length) {
+    await invalidateAllPermissions();
+  }
+
+  logger.info("PERMISSION_CATALOG_SYNCED", result);
+
+  return result;
+};
+
+// ================== DRIFT ==================
+// missing = required by an operation but not in the table (nobody can hold it)
+// unused  = in the table but no operation requires it
+export const detectPermissionDrift = async (prismaInstance = prisma) => {
+  const stored = await prismaInstance.permission.findMany({
+    where: { isDeleted: false },
+    select: { name: true },
+  });
+
+  const storedNames = new Set(stored.map((perm) => perm.name));
+  const required = new Set(PERMISSION_CATALOG.map((entry) => entry.name));
+
+  return {
+    missing: [...required].filter((name) => !storedNames.has(name)).sort(),
+    unused: [...storedNames].filter((name) => !required.has(name)).sort(),
+  };
+};
+
+// startup check — a DB outage shouldn't block startup
+export const reportPermissionDrift = async () => {
+  const drift = await detectPermissionDrift();
+
+  if (drift.missing.length || drift.unused.length) {
+    logger.warn("PERMISSION_DRIFT", {
+      ...drift,
+      fix: "npm run permissions:sync",
+    });
+  }
+
+  return drift;
+};
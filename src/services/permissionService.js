@@ -0,0 +1,399 @@
+// services/permissionService.js
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import {
+  SUPER_ADMIN_SLUG,
+  getDescendantRoleIds,
+  getRoleChain,
+} from "./roleHierarchyService.js";
+import { buildScopeFilters } from "./dataScopeService.js";
+
+const CACHE_TTL_SECONDS = Number(process.env.PERMISSION_CACHE_TTL_SECONDS || 300);
+
+// memory by default; "redis" shares the cache (and invalidations) across instances
+const useRedis = () => process.env.PERMISSION_CACHE_STORE === "redis";
+
+// bumping the generation orphans every cached entry at once
+const GENERATION_KEY = "effective-permissions:generation";
+const cacheKey = (generation, staffId) =>
+  `effective-permissions:${generation}:${staffId}`;
+
+const memoryCache = new Map();
+
+const moduleInclude = {
+  permission: {
+    include: {
+      modules: {
+        where: { module: { isDeleted: false, isActive: true } },
+        include: { module: true },
+      },
+    },
+  },
+};
+
+// ================== GRANT WINDOWS ==================
+// role and staff grants may carry validFrom / validUntil (null = open-ended)
+const notExpired = (now) => ({
+  OR: [{ validUntil: null }, { validUntil: { gt: now } }],
+});
+
+const isActiveGrant = (grant, now) =>
+  (!grant.validFrom || grant.validFrom <= now) &&
+  (!grant.validUntil || grant.validUntil > now);
+
+// earliest future validFrom / validUntil: the effective set changes there
+const nextGrantChange = (grants, now) =>
+  grants
+    .flatMap((grant) => [grant.validFrom, grant.validUntil])
+    .filter((date) => date && date > now)
+    .reduce((earliest, date) => (!earliest || date < earliest ? date : earliest), null);
+
+// permissionIds = permanent allows,
+// grants = [{ permissionId, effect, validFrom, validUntil }]
+export const buildPermissionGrants = (permissionIds = [], grants = []) => {
+  const all = [
+    ...(permissionIds || []).map((permissionId) => ({ permissionId })),
+    ...(grants || []),
+  ].map(({ permissionId, effect, validFrom, validUntil }) => ({
+    permissionId,
+    effect: effect || "ALLOW",
+    validFrom: validFrom ? new Date(validFrom) : null,
+    validUntil: validUntil ? new Date(validUntil) : null,
+  }));
+
+  const seen = new Set();
+
+  for (const grant of all) {
+    if (seen.has(grant.permissionId)) {
+      throw new Error(`Permission ${grant.permissionId} is granted twice`);
+    }
+    seen.add(grant.permissionId);
+
+    if (grant.validUntil && grant.validUntil <= new Date()) {
+      throw new Error("validUntil must be in the future");
+    }
+
+    if (grant.validFrom && grant.validUntil && grant.validFrom >= grant.validUntil) {
+      throw new Error("validFrom must be before validUntil");
+    }
+  }
+
+  return all;
+};
+
+// shape for the Staff.grants / Role.grants fields
+export const formatPermissionGrant = (grant) => ({
+  permission: grant.permission,
+  effect: grant.effect || "ALLOW",
+  validFrom: grant.validFrom || null,
+  validUntil: grant.validUntil || null,
+  active: isActiveGrant(grant, new Date()),
+});
+
+// Staff.permissions / Role.permissions list what is granted, not what is denied
+export const allowedPermissions = (grants) =>
+  grants
+    .filter((grant) => (grant.effect || "ALLOW") === "ALLOW")
+    .map((grant) => grant.permission);
+
+// ================== PRECEDENCE ==================
+// Every grant is ALLOW or DENY. For each permission the first level that
+// mentions it decides:
+//   staff deny > staff allow > role deny > role allow
+// "role" covers the staff member's role and every role it inherits from.
+// Super-admins are outside these rules.
+const PRECEDENCE = [
+  ["staff", "DENY"],
+  ["staff", "ALLOW"],
+  ["role", "DENY"],
+  ["role", "ALLOW"],
+];
+
+// -> { allowed: [Permission], denied: ["name", ...] }
+export const resolveGrants = ({ role = [], staff = [] }) => {
+  const decided = new Map();
+  const levels = { role, staff };
+
+  for (const [level, effect] of PRECEDENCE) {
+    for (const grant of levels[level]) {
+      const name = grant.permission.name;
+      if ((grant.effect || "ALLOW") !== effect || decided.has(name)) continue;
+
+      decided.set(name, { effect, permission: grant.permission });
+    }
+  }
+
+  // listed in grant order (role grants first), not precedence order
+  const outcomes = [
+    ...new Set([...role, ...staff].map((grant) => grant.permission.name)),
+  ].map((name) => decided.get(name));
+
+  return {
+    allowed: outcomes
+      .filter((outcome) => outcome.effect === "ALLOW")
+      .map((outcome) => outcome.permission),
+    denied: outcomes
+      .filter((outcome) => outcome.effect === "DENY")
+      .map((outcome) => outcome.permission.name),
+  };
+};
+
+// ================== LOAD FROM DB ==================
+const loadSuperAdminPermissions = async () => {
+  const modules = await prisma.module.findMany({
+    where: { isDeleted: false, isActive: true },
+  });
+
+  const moduleAccess = modules.map((mod) => ({
+    id: mod.id,
+    name: mod.name,
+    slug: mod.slug,
+    permissions: ["create", "read", "update", "delete"].map(
+      (action) => `${mod.slug}.${action}`,
+    ),
+  }));
+
+  return {
+    superAdmin: true,
+    permissions: moduleAccess.flatMap((mod) => mod.permissions),
+    denied: [],
+    modules: moduleAccess,
+    scopes: null,
+  };
+};
+
+// { effective, changesAt } — changesAt = when a grant window next opens or closes
+const loadEffectivePermissions = async (staffId) => {
+  const staff = await prisma.staff.findUnique({
+    where: { id: staffId },
+    include: { role: true, department: true },
+  });
+
+  if (!staff) {
+    return {
+      effective: {
+        superAdmin: false,
+        permissions: [],
+        denied: [],
+        modules: [],
+        scopes: null,
+      },
+      changesAt: null,
+    };
+  }
+
+  // own role first, then every ancestor it inherits from
+  const chain = await getRoleChain(staff.roleId);
+
+  if (chain.some((role) => role.slug === SUPER_ADMIN_SLUG)) {
+    return { effective: await loadSuperAdminPermissions(), changesAt: null };
+  }
+
+  const now = new Date();
+
+  // not-yet-started grants are loaded too, so the cache knows when they start
+  const rolePermissions = await prisma.rolePermission.findMany({
+    where: {
+      roleId: { in: chain.map((role) => role.id) },
+      permission: { isDeleted: false },
+      ...notExpired(now),
+    },
+    include: moduleInclude,
+  });
+
+  const staffPermissions = await prisma.staffPermission.findMany({
+    where: { staffId, permission: { isDeleted: false }, ...notExpired(now) },
+    include: moduleInclude,
+  });
+
+  const grants = [...rolePermissions, ...staffPermissions];
+  const { allowed: allPermissions, denied } = resolveGrants({
+    role: rolePermissions.filter((grant) => isActiveGrant(grant, now)),
+    staff: staffPermissions.filter((grant) => isActiveGrant(grant, now)),
+  });
+
+  const moduleMap = {};
+
+  allPermissions.forEach((perm) => {
+    perm.modules.forEach(({ module: mod }) => {
+      if (!moduleMap[mod.id]) {
+        moduleMap[mod.id] = {
+          id: mod.id,
+          name: mod.name,
+          slug: mod.slug,
+          permissions: new Set(),
+        };
+      }
+
+      moduleMap[mod.id].permissions.add(perm.name);
+    });
+  });
+
+  return {
+    effective: {
+      superAdmin: false,
+      permissions: allPermissions.map((perm) => perm.name),
+      denied,
+      modules: Object.values(moduleMap).map((mod) => ({
+        ...mod,
+        permissions: Array.from(mod.permissions),
+      })),
+      // department data scopes (services/dataScopeService.js)
+      scopes: staff.department?.scopes || null,
+    },
+    changesAt: nextGrantChange(grants, now),
+  };
+};
+
+// never cache past the next grant boundary
+const cacheTtlMs = (changesAt) =>
+  Math.max(
+    0,
+    Math.min(
+      CACHE_TTL_SECONDS * 1000,
+      changesAt ? changesAt.getTime() - Date.now() : Infinity,
+    ),
+  );
+
+// ================== CACHE ==================
+// { superAdmin, permissions: ["roles.read", ...], denied: [...], modules: [ModuleAccess], scopes }
+export const getEffectivePermissions = async (staffId) => {
+  if (useRedis()) {
+    const redis = getRedis();
+    const generation = (await redis.get(GENERATION_KEY)) || "0";
+    const key = cacheKey(generation, staffId);
+
+    const cached = await redis.get(key);
+    if (cached) return JSON.parse(cached);
+
+    const { effective, changesAt } = await loadEffectivePermissions(staffId);
+    const ttlMs = cacheTtlMs(changesAt);
+    if (ttlMs > 0) {
+      await redis.set(key, JSON.stringify(effective), "PX", ttlMs);
+    }
+    return effective;
+  }
+
+  const cached = memoryCache.get(staffId);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const { effective, changesAt } = await loadEffectivePermissions(staffId);
+  memoryCache.set(staffId, {
+    value: effective,
+    expiresAt: Date.now() + cacheTtlMs(changesAt),
+  });
+  return effective;
+};
+
+export const invalidateStaffPermissions = async (...staffIds) => {
+  if (!staffIds.length) return;
+
+  if (useRedis()) {
+    const redis = getRedis();
+    const generation = (await redis.get(GENERATION_KEY)) || "0";
+    await redis.del(...staffIds.map((id) => cacheKey(generation, id)));
+    return;
+  }
+
+  staffIds.forEach((id) => memoryCache.delete(id));
+};
+
+// child roles inherit, so their staff are affected too
+export const invalidateRolePermissions = async (roleId) => {
+  const roleIds = [roleId, ...(await getDescendantRoleIds(roleId))];
+
+  const staff = await prisma.staff.findMany({
+    where: { roleId: { in: roleIds } },
+    select: { id: true },
+  });
+
+  await invalidateStaffPermissions(...staff.map((s) => s.id));
+};
+
+// permission/module changes can touch any staff member
+export const invalidateAllPermissions = async () => {
+  if (useRedis()) {
+    await getRedis().incr(GENERATION_KEY);
+    return;
+  }
+
+  memoryCache.clear();
+};
+
+// ================== CHECK ==================
+// target = { entity: "astrologer", id } also requires that record to be
+// inside the caller's department scope
+export async function checkPermission(context, requiredPermission, target) {
+  // API keys: their own permissions (already narrowed to what the creator
+  // still holds) and the creator's data scopes
+  if (context.apiKey) {
+    if (!context.apiKey.permissions.includes(requiredPermission)) {
+      throw new Error("Unauthorized: Missing permission");
+    }
+    if (target) await assertInScope(context, target);
+    return true;
+  }
+
+  const staff = context.user;
+
+  if (!staff || !staff.id) {
+    throw new Error("Unauthorized");
+  }
+
+  // 🔥 SUPER ADMIN
+  if (staff.role?.slug === SUPER_ADMIN_SLUG) {
+    return true;
+  }
+
+  // superAdmin also covers roles that inherit from super-admin
+  const { superAdmin, permissions, denied } = await getEffectivePermissions(
+    staff.id,
+  );
+
+  if (superAdmin) return true;
+
+  if (denied?.includes(requiredPermission)) {
+    throw new Error("Unauthorized: Permission denied");
+  }
+
+  if (!permissions.includes(requiredPermission)) {
+    throw new Error("Unauthorized: Missing permission");
+  }
+
+  if (target) await assertInScope(context, target);
+
+  return true;
+}
+
+// ================== DATA SCOPES ==================
+// where ANDed with the caller's department scopes for that entity
+export const scopedWhere = async (context, entity, where = {}) => {
+  if (context.user?.role?.slug === SUPER_ADMIN_SLUG) return where;
+
+  const { superAdmin, scopes } = context.apiKey
+    ? { superAdmin: false, scopes: context.apiKey.scopes }
+    : await getEffectivePermissions(context.user.id);
+  if (superAdmin) return where;
+
+  const filters = buildScopeFilters(scopes, entity);
+  return filters.length ? { AND: [where, ...filters] } : where;
+};
+
+// out of scope and not found look the same, so ids can't be probed
+const assertInScope = async (context, { entity, id }) => {
+  const where = await scopedWhere(context, entity, { id });
+  if (!where.AND) return;
+
+  if (!(await prisma[entity].count({ where }))) {
+    throw new Error("Forbidden: outside your department's data scope");
+  }
+};
+
+// same rules, but answers instead of throwing (field-level checks)
+export const hasPermission = async (context, requiredPermission) => {
+  try {
+    return await checkPermission(context, requiredPermission);
+  } catch {
+    return false;
+  }
+};
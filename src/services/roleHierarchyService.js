@@ -0,0 +1,114 @@
+// services/roleHierarchyService.js
+// Roles may have a parent ("Support Lead" -> "Support"); a role holds its own
+// grants plus everything up its chain. An inactive role cuts the chain: it and
+// its ancestors contribute nothing.
+import prisma from "../config/prisma.js";
+
+// far deeper than any real org chart; stops a bad row from looping forever
+const MAX_DEPTH = 20;
+
+export const SUPER_ADMIN_SLUG = "super-admin";
+
+// [role, parent, grandparent, ...]
+export const getRoleChain = async (roleId) => {
+  const chain = [];
+  const seen = new Set();
+  let nextId = roleId;
+
+  while (nextId && !seen.has(nextId) && chain.length < MAX_DEPTH) {
+    seen.add(nextId);
+
+    const role = await prisma.role.findUnique({ where: { id: nextId } });
+    if (!role || role.isActive === false) break;
+
+    chain.push(role);
+    nextId = role.parentId;
+  }
+
+  return chain;
+};
+
+// super-admin itself, or anything that inherits from it
+export const isSuperAdminRole = async (roleId) =>
+  (await getRoleChain(roleId)).some((role) => role.slug === SUPER_ADMIN_SLUG);
+
+export const getDescendantRoleIds = async (roleId) => {
+  const descendants = [];
+  let frontier = [roleId];
+
+  while (frontier.length && descendants.length < 1000) {
+    const children = await prisma.role.findMany({
+      where: { parentId: { in: frontier } },
+      select: { id: true },
+    });
+
+    frontier = children
+      .map((child) => child.id)
+      .filter((id) => id !== roleId && !descendants.includes(id));
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// walk up from the new parent; meeting the role itself means a cycle
+export const assertValidParent = async (roleId, parentId) => {
+  if (!parentId) return;
+
+  if (parentId === roleId) {
+    throw new Error("A role cannot be its own parent");
+  }
+
+  let nextId = parentId;
+  const seen = new Set();
+
+  while (nextId) {
+    if (nextId === roleId) {
+      throw new Error("Role hierarchy cycle: the parent inherits from this role");
+    }
+    if (seen.has(nextId)) break;
+    seen.add(nextId);
+
+    const role = await prisma.role.findUnique({ where: { id: nextId } });
+    if (!role) {
+      if (nextId === parentId) throw new Error("Parent role not found");
+      break;
+    }
+
+    nextId = role.parentId;
+  }
+};
+
+// ================== TREE ==================
+export const getRoleTree = async () => {
+  const roles = await prisma.role.findMany({
+    orderBy: { name: "asc" },
+    include: { permissions: { include: { permission: true } } },
+  });
+
+  const nodes = new Map(
+    roles.map((role) => [
+      role.id,
+      {
+        ...role,
+        permissions: role.permissions
+          .filter((rp) => rp.effect !== "DENY")
+          .map((rp) => rp.permission),
+        denied: role.permissions
+          .filter((rp) => rp.effect === "DENY")
+          .map((rp) => rp.permission),
+        children: [],
+      },
+    ]),
+  );
+
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+};
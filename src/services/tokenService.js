@@ -0,0 +1,298 @@
+// services/tokenService.js
+import crypto from "crypto";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+} from "../config/jwt.js";
+import { logAuthEvent } from "./logService.js";
+
+const REFRESH_TTL_SECONDS = 7 * 24 * 60 * 60; // matches refresh token expiresIn
+
+// one session per login = one refresh token family
+const sessionKey = (sid) => `staff-session:${sid}`;
+const staffSessionsKey = (staffId) => `staff-sessions:${staffId}`;
+const denylistKey = (jti) => `access-denylist:${jti}`;
+
+// swap the current jti only if the presented one is still current
+const ROTATE_SCRIPT = `
+if redis.call("HGET", KEYS[1], "current") == ARGV[1] then
+  redis.call("HSET", KEYS[1], "current", ARGV[2], "lastSeenAt", ARGV[4])
+  redis.call("EXPIRE", KEYS[1], ARGV[3])
+  return 1
+end
+return 0
+`;
+
+// bump lastSeenAt without resurrecting a revoked session
+const TOUCH_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 1 then
+  redis.call("HSET", KEYS[1], "lastSeenAt", ARGV[1])
+  return 1
+end
+return 0
+`;
+
+const deviceFromUserAgent = (userAgent = "") => {
+  if (/iPad|Tablet/i.test(userAgent)) return "Tablet";
+  if (/Mobile|Android|iPhone/i.test(userAgent)) return "Mobile";
+  return userAgent ? "Desktop" : "Unknown";
+};
+
+const formatSession = (sid, session, currentSid) => ({
+  id: sid,
+  device: session.device,
+  ip: session.ip || null,
+  userAgent: session.userAgent || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: sid === currentSid,
+});
+
+// staff who must change their password only get a restricted token
+export const PASSWORD_CHANGE_SCOPE = "password-change";
+
+const accessScopeFor = async (staffId) => {
+  const credential = await prisma.staffCredential.findUnique({
+    where: { staffId },
+  });
+
+  return credential?.mustChangePassword ? PASSWORD_CHANGE_SCOPE : undefined;
+};
+
+// ================== ISSUE TOKENS (NEW SESSION) ==================
+export const issueStaffTokens = async (staff, meta = {}) => {
+  const sid = crypto.randomUUID();
+  const jti = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const scope = await accessScopeFor(staff.id);
+  const accessToken = generateAccessToken(staff, { sid, scope });
+  const refreshToken = generateRefreshToken(staff, { sid, jti });
+
+  const redis = getRedis();
+  await redis
+    .multi()
+    .hset(sessionKey(sid), {
+      staffId: staff.id,
+      current: jti,
+      device: meta.device || deviceFromUserAgent(meta.userAgent),
+      ip: meta.ip || "",
+      userAgent: meta.userAgent || "",
+      createdAt: now,
+      lastSeenAt: now,
+    })
+    .expire(sessionKey(sid), REFRESH_TTL_SECONDS)
+    .sadd(staffSessionsKey(staff.id), sid)
+    .exec();
+
+  return {
+    accessToken,
+    refreshToken,
+    passwordChangeRequired: scope === PASSWORD_CHANGE_SCOPE,
+  };
+};
+
+// ================== REVOKE SESSION ==================
+export const revokeSession = async (sid) => {
+  const redis = getRedis();
+  const staffId = await redis.hget(sessionKey(sid), "staffId");
+
+  await redis.del(sessionKey(sid));
+
+  if (staffId) {
+    await redis.srem(staffSessionsKey(staffId), sid);
+  }
+};
+
+export const revokeAllStaffSessions = async (staffId) => {
+  const redis = getRedis();
+  const sids = await redis.smembers(staffSessionsKey(staffId));
+
+  await redis
+    .multi()
+    .del(...sids.map(sessionKey), staffSessionsKey(staffId))
+    .exec();
+
+  return sids.length;
+};
+
+// returns false when the session was revoked or expired
+export const touchSession = async (sid) => {
+  const touched = await getRedis().eval(
+    TOUCH_SCRIPT,
+    1,
+    sessionKey(sid),
+    new Date().toISOString(),
+  );
+
+  return touched === 1;
+};
+
+// ================== LIST SESSIONS ==================
+export const listStaffSessions = async (staffId, currentSid) => {
+  const redis = getRedis();
+  const sids = await redis.smembers(staffSessionsKey(staffId));
+
+  const sessions = [];
+  const expired = [];
+
+  for (const sid of sids) {
+    const session = await redis.hgetall(sessionKey(sid));
+
+    if (!session.staffId) {
+      expired.push(sid);
+      continue;
+    }
+
+    sessions.push(formatSession(sid, session, currentSid));
+  }
+
+  // TTL drops the hash but not its entry in the staff set
+  if (expired.length) {
+    await redis.srem(staffSessionsKey(staffId), ...expired);
+  }
+
+  return sessions.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+};
+
+export const revokeOwnSessionService = async (staffId, sid) => {
+  const owner = await getRedis().hget(sessionKey(sid), "staffId");
+
+  if (owner !== staffId) {
+    throw new Error("Session not found");
+  }
+
+  await revokeSession(sid);
+  logAuthEvent("SESSION_REVOKED", staffId, { sessionId: sid });
+};
+
+// ================== ACCESS TOKEN DENYLIST ==================
+export const denylistAccessToken = async (decoded) => {
+  if (!decoded?.jti) return;
+
+  // only needs to outlive the token itself
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return;
+
+  await getRedis().set(denylistKey(decoded.jti), "1", "EX", ttl);
+};
+
+export const isAccessTokenDenylisted = async (jti) => {
+  if (!jti) return false;
+
+  return (await getRedis().exists(denylistKey(jti))) === 1;
+};
+
+// ================== AUTHENTICATE ACCESS TOKEN ==================
+// decoded staff token, or null: logged-out tokens and revoked sessions stay
+// signed until exp, so the signature alone isn't enough
+export const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch {
+    return null;
+  }
+
+  if (decoded.type !== "staff") return null;
+  if (await isAccessTokenDenylisted(decoded.jti)) return null;
+  if (decoded.sid && !(await touchSession(decoded.sid))) return null;
+
+  return decoded;
+};
+
+// ================== LOGOUT ==================
+export const logoutStaffService = async (decoded) => {
+  await denylistAccessToken(decoded);
+
+  // the sid belongs to the impersonator's own login — leave it alone
+  if (decoded?.actorId) {
+    logAuthEvent("IMPERSONATION_ENDED", decoded.actorId, {
+      actorId: decoded.actorId,
+      subjectId: decoded.subjectId,
+    });
+    return;
+  }
+
+  if (decoded?.sid) {
+    await revokeSession(decoded.sid);
+  }
+
+  logAuthEvent("LOGOUT", decoded?.id, { sessionId: decoded?.sid });
+};
+
+export const logoutAllSessionsService = async (decoded) => {
+  await denylistAccessToken(decoded);
+
+  const count = await revokeAllStaffSessions(decoded.id);
+
+  logAuthEvent("LOGOUT_ALL", decoded.id, { sessionCount: count });
+};
+
+// ================== ROTATE REFRESH TOKEN ==================
+export const refreshStaffTokenService = async (refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  if (decoded.type !== "staff" || !decoded.sid || !decoded.jti) {
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  const redis = getRedis();
+  const session = await redis.hgetall(sessionKey(decoded.sid));
+
+  if (!session.current) {
+    logAuthEvent("REFRESH_FAILED", decoded.id, {
+      reason: "Session revoked",
+      sessionId: decoded.sid,
+    });
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  const staff = await prisma.staff.findUnique({
+    where: { id: decoded.id },
+    include: { role: true },
+  });
+
+  if (!staff || staff.isActive === false) {
+    await revokeSession(decoded.sid);
+    throw new Error("Staff not found or inactive");
+  }
+
+  const nextJti = crypto.randomUUID();
+  const rotated = await redis.eval(
+    ROTATE_SCRIPT,
+    1,
+    sessionKey(decoded.sid),
+    decoded.jti,
+    nextJti,
+    REFRESH_TTL_SECONDS,
+    new Date().toISOString(),
+  );
+
+  // an already-rotated token came back: assume it was stolen
+  if (rotated !== 1) {
+    await revokeSession(decoded.sid);
+    logAuthEvent("REFRESH_TOKEN_REUSE", decoded.id, {
+      sessionId: decoded.sid,
+    });
+    throw new Error("Refresh token reuse detected");
+  }
+
+  const scope = await accessScopeFor(staff.id);
+  const accessToken = generateAccessToken(staff, { sid: decoded.sid, scope });
+  const nextRefreshToken = generateRefreshToken(staff, {
+    sid: decoded.sid,
+    jti: nextJti,
+  });
+
+  return {
+    accessToken,
+    refreshToken: nextRefreshToken,
+    passwordChangeRequired: scope === PASSWORD_CHANGE_SCOPE,
+    user: staff,
+  };
+};
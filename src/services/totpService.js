@@ -0,0 +1,231 @@
+// services/totpService.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import prisma from "../config/prisma.js";
+import { getRedis } from "../config/redis.js";
+import { verifyChallengeToken } from "../config/jwt.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+import { issueStaffTokens } from "./tokenService.js";
+import { logAuthEvent } from "./logService.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "./loginThrottleService.js";
+
+const ISSUER = process.env.TOTP_ISSUER || "DhwaniAstro Admin";
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const CHALLENGE_TTL_SECONDS = 5 * 60; // matches challenge token expiresIn
+
+const attemptsKey = (jti) => `totp-challenge-attempts:${jti}`;
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+// ================== LOGIN REQUIREMENT ==================
+// null = plain login, otherwise the challenge purpose to hand out
+export const getLoginChallengePurpose = async (staff) => {
+  const totp = await prisma.staffTotp.findUnique({
+    where: { staffId: staff.id },
+  });
+
+  if (totp?.enabled) return "verify";
+  if (staff.role?.requireTotp) return "enroll";
+
+  return null;
+};
+
+// staff id from a logged-in user, or from an enrollment challenge
+export const resolveTotpStaffId = (context, challengeToken) => {
+  if (context.user?.id) return context.user.id;
+
+  if (!challengeToken) throw new Error("Unauthorized");
+
+  const decoded = verifyChallengeToken(challengeToken);
+
+  if (decoded.purpose !== "enroll") {
+    throw new Error("Unauthorized");
+  }
+
+  return decoded.id;
+};
+
+// ================== ENROLL ==================
+export const enrollTotpService = async (staffId) => {
+  const staff = await prisma.staff.findUnique({ where: { id: staffId } });
+  if (!staff) throw new Error("Staff not found");
+
+  const existing = await prisma.staffTotp.findUnique({ where: { staffId } });
+  if (existing?.enabled) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+
+  await prisma.staffTotp.upsert({
+    where: { staffId },
+    update: { secret, lastUsedStep: null, recoveryCodes: [] },
+    create: { staffId, secret },
+  });
+
+  logAuthEvent("TOTP_ENROLL_STARTED", staff.email, { staffId });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, staff.email, ISSUER),
+  };
+};
+
+// ================== CONFIRM ==================
+export const confirmTotpService = async (staffId, code) => {
+  const totp = await prisma.staffTotp.findUnique({ where: { staffId } });
+
+  if (!totp) throw new Error("Start enrollment first");
+  if (totp.enabled) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const step = verifyTotp(totp.secret, code);
+  if (step === null) throw new Error("Invalid code");
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await prisma.staffTotp.update({
+    where: { staffId },
+    data: {
+      enabled: true,
+      enabledAt: new Date(),
+      lastUsedStep: step,
+      recoveryCodes: await Promise.all(
+        recoveryCodes.map((c) => bcrypt.hash(c, 10)),
+      ),
+    },
+  });
+
+  logAuthEvent("TOTP_ENABLED", staffId, {});
+
+  // shown once; only hashes are kept
+  return { recoveryCodes };
+};
+
+// TOTP code first, then one-time recovery code
+const consumeSecondFactor = async (totp, code) => {
+  const step = verifyTotp(totp.secret, code);
+
+  if (step !== null) {
+    if (totp.lastUsedStep !== null && step <= totp.lastUsedStep) {
+      return false; // replayed code
+    }
+
+    await prisma.staffTotp.update({
+      where: { staffId: totp.staffId },
+      data: { lastUsedStep: step },
+    });
+    return true;
+  }
+
+  for (const hash of totp.recoveryCodes) {
+    if (await bcrypt.compare(String(code).trim().toLowerCase(), hash)) {
+      await prisma.staffTotp.update({
+        where: { staffId: totp.staffId },
+        data: {
+          recoveryCodes: totp.recoveryCodes.filter((h) => h !== hash),
+        },
+      });
+      logAuthEvent("TOTP_RECOVERY_CODE_USED", totp.staffId, {
+        remaining: totp.recoveryCodes.length - 1,
+      });
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// ================== VERIFY LOGIN ==================
+// wrong codes count towards the same lockout as wrong passwords, so fresh
+// challenges can't be used to keep guessing
+export const verifyLoginTotpService = async (challengeToken, code, meta) => {
+  const decoded = verifyChallengeToken(challengeToken);
+  const redis = getRedis();
+
+  const attempts = await redis.incr(attemptsKey(decoded.jti));
+  await redis.expire(attemptsKey(decoded.jti), CHALLENGE_TTL_SECONDS);
+
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    throw new Error("Too many attempts. Log in again");
+  }
+
+  const staff = await prisma.staff.findUnique({
+    where: { id: decoded.id },
+    include: { role: true },
+  });
+
+  if (!staff || staff.isActive === false) {
+    throw new Error("Staff not found or inactive");
+  }
+
+  await assertLoginAllowed(staff.email, meta?.ip);
+
+  const totp = await prisma.staffTotp.findUnique({
+    where: { staffId: decoded.id },
+  });
+
+  if (!totp?.enabled) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (!(await consumeSecondFactor(totp, code))) {
+    logAuthEvent("LOGIN_FAILED", decoded.id, {
+      reason: "Invalid TOTP code",
+      ...meta,
+    });
+    await recordLoginFailure(staff.email, meta?.ip, {
+      userAgent: meta?.userAgent,
+    });
+    throw new Error("Invalid code");
+  }
+
+  // challenge tokens are single use
+  await redis.set(
+    attemptsKey(decoded.jti),
+    MAX_CHALLENGE_ATTEMPTS + 1,
+    "EX",
+    CHALLENGE_TTL_SECONDS,
+  );
+
+  await clearLoginFailures(staff.email);
+
+  const tokens = await issueStaffTokens(staff, meta);
+
+  logAuthEvent("LOGIN_SUCCESS", staff.email, {
+    staffId: staff.id,
+    secondFactor: "TOTP",
+    ...meta,
+  });
+
+  return { ...tokens, user: staff };
+};
+
+// ================== ROLE POLICY ==================
+export const setRoleTotpRequirementService = async (roleId, required) => {
+  const role = await prisma.role.update({
+    where: { id: roleId },
+    data: { requireTotp: required },
+  });
+
+  logAuthEvent("ROLE_TOTP_REQUIREMENT_CHANGED", role.name, {
+    roleId,
+    required,
+  });
+
+  return role;
+};
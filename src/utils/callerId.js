@@ -0,0 +1,4 @@
+// src/utils/callerId.js
+// who is making the request: a staff id, or "apikey:<id>" for service calls
+export const callerId = (context) =>
+  context?.user?.id || (context?.apiKey ? `apikey:${context.apiKey.id}` : null);
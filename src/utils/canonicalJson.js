@@ -0,0 +1,24 @@
+// src/utils/canonicalJson.js
+// JSON with sorted keys, so the same record always hashes the same way no
+// matter how Mongo hands its fields back (undefined is stored as null)
+export const canonicalJson = (value) => {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item ?? null)).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    if (typeof value.toHexString === "function") {
+      return JSON.stringify(value.toHexString());
+    }
+
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+
+    return `{${entries.join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
@@ -0,0 +1,24 @@
+// src/utils/mask.js
+// Display masks for contact details in list/search results. Unlike redact.js
+// (which scrubs logs) these keep just enough to recognise a record.
+
+// "9876543221" -> "98******21"
+export const maskPhone = (value) => {
+  if (!value) return value;
+
+  const phone = String(value);
+  if (phone.length <= 4) return "*".repeat(phone.length);
+
+  return `${phone.slice(0, 2)}${"*".repeat(phone.length - 4)}${phone.slice(-2)}`;
+};
+
+// "alice@gmail.com" -> "a***@gmail.com" (fixed width, so the length doesn't leak)
+export const maskEmail = (value) => {
+  if (!value) return value;
+
+  const email = String(value);
+  const at = email.lastIndexOf("@");
+  if (at < 1) return "***";
+
+  return `${email[0]}***${email.slice(at)}`;
+};
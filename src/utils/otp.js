@@ -1,10 +1,11 @@
+import crypto from "crypto";
+
 function generateOtp() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 }
 
 function otpExpiryTime() {
   return new Date(Date.now() + 5 * 60 * 1000); 
 }
 
-module.exports = { generateOtp, otpExpiryTime };
-
+export { generateOtp, otpExpiryTime };
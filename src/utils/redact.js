@@ -0,0 +1,93 @@
+// src/utils/redact.js
+// Everything that gets logged passes through here (logService entries and,
+// via installConsoleRedaction, plain console calls).
+import util from "util";
+
+export const REDACTED = "[REDACTED]";
+
+// passwords, OTP/TOTP codes, tokens, secrets, credentials and bank details
+const SENSITIVE_KEY =
+  /pass(word)?|otp|token|secret|^code$|recovery|bank|account(number|no)|ifsc|upi|authorization|cookie|api[_-]?key|private_?key/i;
+
+const JWT_SHAPED = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BCRYPT_HASH = /\$2[aby]?\$\d{2}\$[./A-Za-z0-9]{53}/g;
+const URI_CREDENTIALS = /([a-z][\w+.-]*:\/\/[^:/@\s]+:)[^@\s]+@/gi;
+const API_KEY_SHAPED = /\bdak_[a-f0-9]{12}_[\w-]{43}/g;
+
+// values that must never show up, whatever key they hide under
+const SECRET_ENV_VARS = [
+  "JWT_SECRET",
+  "JWT_REFRESH_SECRET",
+  "REDIS_PASSWORD",
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const isSensitiveKey = (key) => SENSITIVE_KEY.test(key);
+
+const isPlainObject = (value) => {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+export const redactString = (value) => {
+  let masked = value
+    .replace(JWT_SHAPED, REDACTED)
+    .replace(BCRYPT_HASH, REDACTED)
+    .replace(API_KEY_SHAPED, REDACTED)
+    .replace(URI_CREDENTIALS, `$1${REDACTED}@`);
+
+  for (const name of SECRET_ENV_VARS) {
+    const secret = process.env[name];
+    // very short values would mask ordinary words
+    if (secret && secret.length >= 6) {
+      masked = masked.replace(new RegExp(escapeRegExp(secret), "g"), REDACTED);
+    }
+  }
+
+  return masked;
+};
+
+// deep copy with sensitive keys and secret-looking strings masked
+export const redact = (value) => {
+  if (typeof value === "string") return redactString(value);
+
+  if (Array.isArray(value)) return value.map(redact);
+
+  if (value instanceof Error) {
+    const error = new Error(redactString(value.message));
+    error.name = value.name;
+    error.stack = value.stack && redactString(value.stack);
+    return error;
+  }
+
+  // Dates, ObjectIds and other class instances pass through untouched
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [
+        key,
+        isSensitiveKey(key) ? REDACTED : redact(inner),
+      ]),
+    );
+  }
+
+  return value;
+};
+
+// ================== CONSOLE ==================
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+let consoleInstalled = false;
+
+// wrap console so stray console.log calls (ours or a dependency's) are masked too
+export const installConsoleRedaction = (target = console) => {
+  if (target === console && consoleInstalled) return;
+
+  for (const method of CONSOLE_METHODS) {
+    const original = target[method].bind(target);
+    target[method] = (...args) =>
+      original(redactString(util.format(...args.map(redact))));
+  }
+
+  if (target === console) consoleInstalled = true;
+};